@@ -0,0 +1,61 @@
+/**
+ * Run the serverless functions locally: `npm run api`
+ *
+ * Serves every api/*.js handler at /api/<name> on API_PORT (default 3001). The CRA dev
+ * server proxies /api requests here (see "proxy" in package.json). Server-side variables
+ * are read from .env / .env.local, the same files the React app uses.
+ */
+
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+
+const ROOT = path.join(__dirname, '..');
+const PORT = parseInt(process.env.API_PORT || '3001', 10);
+
+/**
+ * Load KEY=value lines into process.env without overriding variables already set
+ */
+function loadEnvFile(fileName) {
+  const filePath = path.join(ROOT, fileName);
+  if (!fs.existsSync(filePath)) return;
+
+  fs.readFileSync(filePath, 'utf8').split(/\r?\n/).forEach(line => {
+    const match = line.match(/^\s*([A-Za-z_][A-Za-z0-9_]*)\s*=\s*(.*)\s*$/);
+    if (!match || process.env[match[1]] !== undefined) return;
+    process.env[match[1]] = match[2].replace(/^(['"])(.*)\1$/, '$2');
+  });
+}
+
+loadEnvFile('.env.local');
+loadEnvFile('.env');
+
+const handlers = fs.readdirSync(__dirname)
+  .filter(file => file.endsWith('.js') && !file.startsWith('_'))
+  .reduce((routes, file) => {
+    routes[`/api/${path.basename(file, '.js')}`] = require(path.join(__dirname, file));
+    return routes;
+  }, {});
+
+http.createServer(async (req, res) => {
+  const { pathname } = new URL(req.url, 'http://localhost');
+  const handler = handlers[pathname];
+
+  if (!handler) {
+    res.statusCode = 404;
+    res.end('Not found');
+    return;
+  }
+
+  try {
+    await handler(req, res);
+  } catch (error) {
+    console.error(`${pathname} failed:`, error);
+    if (!res.headersSent) {
+      res.statusCode = 500;
+      res.end('Internal server error');
+    }
+  }
+}).listen(PORT, () => {
+  console.log(`API functions listening on http://localhost:${PORT} (${Object.keys(handlers).join(', ')})`);
+});
@@ -0,0 +1,78 @@
+/**
+ * Small helpers shared by the serverless functions
+ * Written against plain Node http req/res so the same handlers run on Vercel and locally.
+ */
+
+// Upstream headers passed through to the browser: rate limiting is handled client-side
+// (src/services/http.js waits for Retry-After before retrying)
+const RELAYED_HEADERS = ['Retry-After'];
+
+// Browser origins allowed to call the functions cross-origin (when the app and api/ are
+// hosted separately), comma-separated. Same-origin requests don't need to be listed.
+const ALLOWED_ORIGINS = (process.env.API_ALLOWED_ORIGINS || '')
+  .split(',')
+  .map(origin => origin.trim().replace(/\/+$/, ''))
+  .filter(Boolean);
+
+/**
+ * Add CORS headers for allowed origins and answer preflight requests
+ * @returns {boolean} true if the request was a preflight and has been answered
+ */
+const handleCors = (req, res) => {
+  const origin = req.headers.origin;
+  res.setHeader('Vary', 'Origin');
+
+  if (origin && ALLOWED_ORIGINS.includes(origin)) {
+    res.setHeader('Access-Control-Allow-Origin', origin);
+    res.setHeader('Access-Control-Expose-Headers', RELAYED_HEADERS.join(', '));
+  }
+
+  if (req.method !== 'OPTIONS') {
+    return false;
+  }
+
+  if (origin && ALLOWED_ORIGINS.includes(origin)) {
+    res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', req.headers['access-control-request-headers'] || 'Content-Type');
+    res.setHeader('Access-Control-Max-Age', '86400');
+  }
+  res.statusCode = 204;
+  res.end();
+  return true;
+};
+
+/**
+ * Query parameters of a request
+ * @returns {URLSearchParams}
+ */
+const getQuery = (req) => new URL(req.url, 'http://localhost').searchParams;
+
+/**
+ * Send a JSON response
+ */
+const sendJson = (res, status, body) => {
+  res.statusCode = status;
+  res.setHeader('Content-Type', 'application/json');
+  res.end(JSON.stringify(body));
+};
+
+/**
+ * Pass an upstream fetch response (status, JSON body and Retry-After) through to the client
+ */
+const relay = async (res, upstream, { cacheSeconds = 0 } = {}) => {
+  const body = await upstream.text();
+  res.statusCode = upstream.status;
+  res.setHeader('Content-Type', upstream.headers.get('content-type') || 'application/json');
+  RELAYED_HEADERS.forEach(name => {
+    const value = upstream.headers.get(name);
+    if (value) {
+      res.setHeader(name, value);
+    }
+  });
+  if (upstream.ok && cacheSeconds > 0) {
+    res.setHeader('Cache-Control', `public, max-age=${cacheSeconds}`);
+  }
+  res.end(body);
+};
+
+module.exports = { handleCors, getQuery, sendJson, relay };
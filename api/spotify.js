@@ -0,0 +1,112 @@
+/**
+ * GET /api/spotify?url=<Spotify Web API URL>
+ *
+ * Fetches public Spotify data on behalf of the browser. The Client Credentials token
+ * exchange happens here so SPOTIFY_CLIENT_SECRET never ships in the client bundle.
+ * Only the read-only endpoints the app uses are allowed through.
+ */
+
+const { handleCors, getQuery, sendJson, relay } = require('./_lib/http');
+
+const SPOTIFY_API_HOST = 'api.spotify.com';
+const SPOTIFY_ACCOUNTS_BASE = 'https://accounts.spotify.com';
+const TOKEN_EXPIRY_MARGIN_MS = 5 * 60 * 1000; // Refresh 5 minutes before actual expiry
+const CACHE_SECONDS = 60;
+
+const ALLOWED_PATHS = [
+  /^\/v1\/playlists\/[A-Za-z0-9]+(\/tracks)?$/,
+  /^\/v1\/albums\/[A-Za-z0-9]+(\/tracks)?$/,
+  /^\/v1\/tracks\/[A-Za-z0-9]+$/,
+  /^\/v1\/artists\/[A-Za-z0-9]+(\/top-tracks)?$/,
+];
+
+// Reused across invocations while the function instance stays warm
+let cachedToken = null;
+let cachedTokenExpiry = 0;
+
+/**
+ * Get an app access token using the Client Credentials flow
+ * @param {boolean} forceRefresh - Ignore the cached token (e.g. after a 401)
+ */
+async function getAccessToken(forceRefresh = false) {
+  if (!forceRefresh && cachedToken && Date.now() < cachedTokenExpiry) {
+    return cachedToken;
+  }
+
+  const clientId = process.env.SPOTIFY_CLIENT_ID;
+  const clientSecret = process.env.SPOTIFY_CLIENT_SECRET;
+
+  if (!clientId || !clientSecret) {
+    const error = new Error('Spotify API credentials not configured. Please set SPOTIFY_CLIENT_ID and SPOTIFY_CLIENT_SECRET on the server.');
+    error.status = 500;
+    throw error;
+  }
+
+  const response = await fetch(`${SPOTIFY_ACCOUNTS_BASE}/api/token`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/x-www-form-urlencoded',
+      'Authorization': 'Basic ' + Buffer.from(`${clientId}:${clientSecret}`).toString('base64'),
+    },
+    body: 'grant_type=client_credentials',
+  });
+
+  if (!response.ok) {
+    const error = new Error(`Failed to get Spotify access token: ${response.status} ${response.statusText}`);
+    error.status = 502;
+    throw error;
+  }
+
+  const data = await response.json();
+  cachedToken = data.access_token;
+  cachedTokenExpiry = Date.now() + data.expires_in * 1000 - TOKEN_EXPIRY_MARGIN_MS;
+
+  return cachedToken;
+}
+
+/**
+ * Parse and validate the requested Spotify URL
+ * @returns {URL|null} The URL, or null if it isn't an allowed Spotify API endpoint
+ */
+function parseSpotifyApiUrl(value) {
+  try {
+    const url = new URL(value);
+    const allowed = url.protocol === 'https:'
+      && url.hostname === SPOTIFY_API_HOST
+      && ALLOWED_PATHS.some(pattern => pattern.test(url.pathname));
+    return allowed ? url : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+module.exports = async function handler(req, res) {
+  if (handleCors(req, res)) {
+    return;
+  }
+
+  if (req.method !== 'GET') {
+    return sendJson(res, 405, { error: 'Method not allowed' });
+  }
+
+  const url = parseSpotifyApiUrl(getQuery(req).get('url') || '');
+  if (!url) {
+    return sendJson(res, 400, { error: 'Unsupported Spotify API URL' });
+  }
+
+  try {
+    const fetchWithToken = async (token) => fetch(url, { headers: { 'Authorization': `Bearer ${token}` } });
+
+    let response = await fetchWithToken(await getAccessToken());
+
+    // Token revoked or expired early - get a new one and retry once
+    if (response.status === 401) {
+      response = await fetchWithToken(await getAccessToken(true));
+    }
+
+    return await relay(res, response, { cacheSeconds: CACHE_SECONDS });
+  } catch (error) {
+    console.error('Spotify proxy error:', error.message);
+    return sendJson(res, error.status || 502, { error: error.message });
+  }
+};
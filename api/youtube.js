@@ -0,0 +1,84 @@
+/**
+ * GET /api/youtube?endpoint=search|videos&keyNumber=N&<YouTube Data API params>
+ * GET /api/youtube?endpoint=keys
+ *
+ * Calls the YouTube Data API with server-side key N (YOUTUBE_API_KEY_N), so the keys
+ * never ship in the client bundle. The browser still decides which key to use: it
+ * tracks per-key quota and rotates on quotaExceeded (see src/services/youtube.js),
+ * so responses, including quota errors, are passed through unchanged.
+ *
+ * endpoint=keys returns { keys: [...] }, a short SHA-256 fingerprint of each configured
+ * key in slot order. The browser tracks quota under these, so usage follows the actual
+ * key when one is replaced.
+ */
+
+const crypto = require('crypto');
+const { handleCors, getQuery, sendJson, relay } = require('./_lib/http');
+
+const YOUTUBE_API_BASE = 'https://www.googleapis.com/youtube/v3';
+const ALLOWED_ENDPOINTS = ['search', 'videos'];
+const ALLOWED_PARAMS = ['part', 'q', 'type', 'videoCategoryId', 'maxResults', 'id'];
+
+/**
+ * The API key for a key number, falling back to YOUTUBE_API_KEY for key 1
+ */
+function getApiKey(keyNumber) {
+  const key = process.env[`YOUTUBE_API_KEY_${keyNumber}`];
+  if (!key && keyNumber === 1) {
+    return process.env.YOUTUBE_API_KEY || null;
+  }
+  return key || null;
+}
+
+/**
+ * Non-reversible fingerprint of an API key
+ */
+function fingerprint(key) {
+  return crypto.createHash('sha256').update(key).digest('hex').slice(0, 16);
+}
+
+module.exports = async function handler(req, res) {
+  if (handleCors(req, res)) {
+    return;
+  }
+
+  if (req.method !== 'GET') {
+    return sendJson(res, 405, { error: 'Method not allowed' });
+  }
+
+  const query = getQuery(req);
+  const endpoint = query.get('endpoint');
+  const keyNumber = parseInt(query.get('keyNumber') || '1', 10);
+
+  if (endpoint === 'keys') {
+    const keys = [];
+    for (let keyNumber = 1; getApiKey(keyNumber); keyNumber++) {
+      keys.push(fingerprint(getApiKey(keyNumber)));
+    }
+    return sendJson(res, 200, { keys });
+  }
+
+  if (!ALLOWED_ENDPOINTS.includes(endpoint)) {
+    return sendJson(res, 400, { error: 'Unsupported YouTube API endpoint' });
+  }
+
+  const apiKey = getApiKey(keyNumber);
+  if (!apiKey) {
+    return sendJson(res, 500, { error: `YouTube API key ${keyNumber} is not configured on the server.` });
+  }
+
+  const url = new URL(`${YOUTUBE_API_BASE}/${endpoint}`);
+  ALLOWED_PARAMS.forEach(param => {
+    if (query.has(param)) {
+      url.searchParams.append(param, query.get(param));
+    }
+  });
+  url.searchParams.append('key', apiKey);
+
+  try {
+    return await relay(res, await fetch(url));
+  } catch (error) {
+    console.error('YouTube proxy error:', error.message);
+    return sendJson(res, 502, { error: error.message });
+  }
+};
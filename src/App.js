@@ -1,5 +1,6 @@
 import { HashRouter as Router, Routes, Route } from 'react-router-dom';
 import MixTape from './components/MixTape';
+import MixtapeStats from './components/MixtapeStats';
 
 function App() {
   return (
@@ -7,6 +8,8 @@ function App() {
       <Routes>
         <Route path="/" element={<MixTape />} />
         <Route path="/mixtape/:id" element={<MixTape />} />
+        <Route path="/mixtape/:id/edit" element={<MixTape />} />
+        <Route path="/mixtape/:id/stats" element={<MixtapeStats />} />
       </Routes>
     </Router>
   );
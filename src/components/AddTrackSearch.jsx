@@ -0,0 +1,67 @@
+import React, { useState } from 'react';
+import { Plus } from 'lucide-react';
+import youtubeService from '../services/youtube';
+import tracklistService from '../services/tracklist';
+
+/**
+ * "Add a song" box under the create view's track list: parses "Artist - Title",
+ * matches it with a single YouTube search and hands the matched track to onAdd
+ */
+const AddTrackSearch = ({ onAdd }) => {
+  const [query, setQuery] = useState('');
+  const [searching, setSearching] = useState(false);
+  const [searchError, setSearchError] = useState('');
+
+  const handleAdd = async () => {
+    const track = tracklistService.parseLine(query);
+
+    if (!track) return;
+    if (!track.artist) {
+      setSearchError('Add the artist too, like "Fleetwood Mac - Dreams".');
+      return;
+    }
+
+    setSearching(true);
+    setSearchError('');
+
+    try {
+      const match = await youtubeService.searchTrack(track.name, track.artist, track.duration_ms);
+
+      if (match) {
+        onAdd(youtubeService.applyMatch(track, match));
+        setQuery('');
+      } else {
+        setSearchError('Could not find that song on YouTube.');
+      }
+    } catch (err) {
+      setSearchError(err.message);
+    }
+    setSearching(false);
+  };
+
+  return (
+    <div className="mt-4 pt-4 border-t border-gray-100">
+      <div className="flex gap-2">
+        <input
+          type="text"
+          value={query}
+          onChange={(e) => setQuery(e.target.value)}
+          onKeyPress={(e) => e.key === 'Enter' && handleAdd()}
+          placeholder="Add a song: Artist - Title"
+          className="flex-1 px-3 py-2 text-sm rounded border border-gray-300 focus:border-gray-500 focus:outline-none"
+        />
+        <button
+          onClick={handleAdd}
+          disabled={searching || !query.trim()}
+          className="flex items-center gap-1 text-sm px-3 py-2 rounded border border-gray-300 hover:bg-gray-50 disabled:opacity-50"
+        >
+          <Plus className="w-4 h-4" />
+          {searching ? 'Searching...' : 'Add'}
+        </button>
+      </div>
+      {searchError && <p className="text-xs text-red-600 mt-2">{searchError}</p>}
+    </div>
+  );
+};
+
+export default AddTrackSearch;
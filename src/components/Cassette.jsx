@@ -0,0 +1,207 @@
+import React from 'react';
+
+const HUB_SIZE = 80; // Reel hub (px), also the size of an empty tape pack
+const FULL_PACK_SIZE = 112; // Tape pack with the whole side wound onto it
+
+/**
+ * One reel: the spinning hub plus the tape wound around it
+ * @param {number} amount - Share of the tape on this reel (0..1)
+ */
+const Reel = ({ amount, spinning }) => {
+  const packSize = HUB_SIZE + (FULL_PACK_SIZE - HUB_SIZE) * amount;
+
+  return (
+    <div className="relative">
+      {/* Tape pack */}
+      <div
+        className="absolute left-1/2 top-1/2 rounded-full transition-all duration-500"
+        style={{
+          width: `${packSize}px`,
+          height: `${packSize}px`,
+          transform: 'translate(-50%, -50%)',
+          backgroundColor: '#3B2A1A',
+          opacity: amount > 0 ? 0.85 : 0,
+        }}
+      />
+
+      <div className="relative w-20 h-20 rounded-full bg-white bg-opacity-40 flex items-center justify-center shadow-lg">
+        <div
+          className={`w-16 h-16 rounded-full bg-gray-800 flex items-center justify-center relative ${spinning ? 'animate-spin-slow' : ''}`}
+          style={{
+            boxShadow: 'inset 0 2px 8px rgba(0,0,0,0.3)',
+            // A nearly empty reel turns faster than a full one
+            animationDuration: `${2 + 3 * amount}s`,
+          }}
+        >
+          {/* Center hole */}
+          <div className="w-4 h-4 rounded-full bg-gray-600"></div>
+          {/* Spool teeth */}
+          {[...Array(6)].map((_, i) => (
+            <div
+              key={i}
+              className="absolute w-1 h-6 bg-gray-700 rounded"
+              style={{
+                transform: `rotate(${i * 60}deg) translateY(-24px)`,
+              }}
+            />
+          ))}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+/**
+ * The cassette artwork used on every view
+ * progress (0..1) is how far through the tape (or current side) playback is: tape winds
+ * from the left reel onto the right one. counter holds the strings shown in the tape
+ * window ({ track, elapsed, remaining }). children render under the cassette, on the
+ * same background.
+ */
+const Cassette = ({
+  color, bgColor, title, message, sender, font, side = null, size = 'large',
+  isPlaying = false, progress = 0, counter = null, children
+}) => {
+  const scale = size === 'small' ? 0.65 : 1;
+
+  return (
+    <div
+      className="cassette-wrapper relative mx-auto transition-all duration-300"
+      style={{
+        width: `${480 * scale}px`,
+        padding: `${60 * scale}px ${40 * scale}px`,
+        backgroundColor: bgColor,
+        borderRadius: `${12 * scale}px`,
+      }}
+    >
+      {/* Cassette body */}
+      <div
+        className="relative rounded-lg shadow-2xl overflow-hidden"
+        style={{
+          backgroundColor: color.shell,
+          aspectRatio: '1.56/1',
+        }}
+      >
+        {/* Corner screws */}
+        <div className="absolute top-3 left-3 w-3 h-3 rounded-full bg-black opacity-30 shadow-inner"></div>
+        <div className="absolute top-3 right-3 w-3 h-3 rounded-full bg-black opacity-30 shadow-inner"></div>
+        <div className="absolute bottom-3 left-3 w-3 h-3 rounded-full bg-black opacity-30 shadow-inner"></div>
+        <div className="absolute bottom-3 right-3 w-3 h-3 rounded-full bg-black opacity-30 shadow-inner"></div>
+
+        {/* Top section - label area */}
+        <div className="p-5">
+          {/* White sticker circle (top left), marked with the side */}
+          <div
+            className="absolute top-6 left-6 w-8 h-8 rounded-full bg-white opacity-90 shadow flex items-center justify-center text-sm font-bold text-gray-700"
+            style={{ fontFamily: 'Georgia, serif' }}
+          >
+            {side}
+          </div>
+
+          {/* Label sticker */}
+          <div
+            className="relative rounded mx-6 mt-2 p-5 shadow-md"
+            style={{
+              backgroundColor: color.label,
+              minHeight: '80px'
+            }}
+          >
+            <div className="text-center">
+              <div className="text-sm font-bold text-gray-800 mb-1 leading-tight" style={{ fontFamily: font?.family || 'Courier, monospace' }}>
+                {title || 'Untitled Mix'}
+              </div>
+              {sender && (
+                <div className="text-xs text-gray-600 italic" style={{ fontFamily: font?.family || 'Georgia, serif' }}>
+                  from {sender}
+                </div>
+              )}
+              {message && size === 'large' && (
+                <div className="mt-3 pt-2 border-t border-gray-300">
+                  <p className="text-xs text-gray-700 italic leading-relaxed line-clamp-3" style={{ fontFamily: font?.family || 'Georgia, serif' }}>
+                    "{message}"
+                  </p>
+                </div>
+              )}
+            </div>
+          </div>
+        </div>
+
+        {/* Middle section - tape mechanism */}
+        <div
+          className="relative px-8 py-4"
+          style={{ backgroundColor: color.inner }}
+        >
+          <div className="flex justify-between items-center">
+            {/* Left spool - tape still to play */}
+            <Reel amount={1 - progress} spinning={isPlaying} />
+
+            {/* Center tape window with counter */}
+            <div className="flex-1 mx-4 relative">
+              <div
+                className="bg-black bg-opacity-60 rounded px-4 py-3 text-center shadow-inner"
+                style={{ fontFamily: 'monospace' }}
+              >
+                <div className="flex justify-center items-baseline gap-4 text-white opacity-80">
+                  <span className="text-xs">{counter?.track || '00'}</span>
+                  <span className="text-lg font-bold">{counter?.elapsed || '0:00'}</span>
+                  <span className="text-xs">{counter?.remaining || ''}</span>
+                </div>
+                <div className="flex justify-center gap-1 mt-1">
+                  {[...Array(12)].map((_, i) => (
+                    <div
+                      key={i}
+                      className="w-0.5 h-2 bg-white"
+                      style={{
+                        height: i % 3 === 0 ? '8px' : '6px',
+                        // Ticks fill in as the tape plays
+                        opacity: i < Math.round(progress * 12) ? 0.8 : 0.4,
+                      }}
+                    ></div>
+                  ))}
+                </div>
+              </div>
+            </div>
+
+            {/* Right spool - tape already played */}
+            <Reel amount={progress} spinning={isPlaying} />
+          </div>
+
+          {/* Tape guides (triangles on sides) */}
+          <div className="absolute left-8 top-1/2 -translate-y-1/2 w-0 h-0 border-l-[12px] border-l-transparent border-r-[12px] border-r-gray-700 border-t-[8px] border-t-transparent border-b-[8px] border-b-transparent opacity-40"></div>
+          <div className="absolute right-8 top-1/2 -translate-y-1/2 w-0 h-0 border-l-[12px] border-l-gray-700 border-r-[12px] border-r-transparent border-t-[8px] border-t-transparent border-b-[8px] border-b-transparent opacity-40"></div>
+        </div>
+
+        {/* Bottom section - darker shell */}
+        <div
+          className="relative h-16"
+          style={{ backgroundColor: color.shell }}
+        >
+          {/* Bottom roller holes */}
+          <div className="absolute left-16 top-1/2 -translate-y-1/2 w-4 h-4 rounded-full bg-black opacity-40"></div>
+          <div className="absolute right-16 top-1/2 -translate-y-1/2 w-4 h-4 rounded-full bg-black opacity-40"></div>
+
+          {/* Center screw */}
+          <div className="absolute left-1/2 top-1/2 -translate-x-1/2 -translate-y-1/2 w-3 h-3 rounded-full bg-black opacity-30"></div>
+        </div>
+      </div>
+
+      {children}
+    </div>
+  );
+};
+
+// Add animations
+const style = document.createElement('style');
+style.textContent = `
+  @keyframes spin-slow {
+    from { transform: rotate(0deg); }
+    to { transform: rotate(360deg); }
+  }
+
+  .animate-spin-slow {
+    animation: spin-slow 4s linear infinite;
+  }
+`;
+document.head.appendChild(style);
+
+export default Cassette;
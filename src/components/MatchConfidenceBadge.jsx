@@ -0,0 +1,43 @@
+import React from 'react';
+import { AlertTriangle } from 'lucide-react';
+import youtubeService from '../services/youtube';
+
+// Human-readable explanation of a match score breakdown
+const describeBreakdown = (breakdown) => {
+  if (!breakdown) return 'This YouTube match may be a different version of the song.';
+
+  const parts = [];
+  if (breakdown.durationDeltaMs !== null && breakdown.durationDeltaMs !== undefined) {
+    parts.push(`Length off by ${Math.round(breakdown.durationDeltaMs / 1000)}s`);
+  } else {
+    parts.push('Song length unknown');
+  }
+  if (breakdown.termHits?.length) {
+    parts.push(`title has ${breakdown.termHits.map(term => `"${term}"`).join(', ')}`);
+  } else {
+    parts.push('title does not mention the song or artist');
+  }
+  if (breakdown.penalties?.length) {
+    parts.push(`looks like: ${breakdown.penalties.join(', ')}`);
+  }
+  return parts.join(' · ');
+};
+
+/**
+ * Small warning shown next to tracks whose YouTube match has a low confidence score
+ */
+const MatchConfidenceBadge = ({ track }) => {
+  if (!youtubeService.isLowConfidence(track)) return null;
+
+  return (
+    <span
+      className="inline-flex items-center gap-1 px-1.5 py-0.5 rounded text-[10px] font-medium bg-amber-100 text-amber-800"
+      title={describeBreakdown(track.youtubeMatchBreakdown)}
+    >
+      <AlertTriangle className="w-3 h-3" />
+      {Math.round(track.youtubeConfidence * 100)}% match
+    </span>
+  );
+};
+
+export default MatchConfidenceBadge;
@@ -1,9 +1,78 @@
 import React, { useState, useEffect, useRef, useCallback } from 'react';
-import { useParams, useNavigate } from 'react-router-dom';
-import { Play, Pause, SkipForward, SkipBack, Share2, Music, Copy, Check } from 'lucide-react';
+import { useParams, useNavigate, useLocation, useSearchParams } from 'react-router-dom';
+import {
+  Play, Pause, SkipForward, SkipBack, Share2, Music, Copy, Check, Download, Pencil, BarChart2,
+  ArrowRightToLine, Repeat, Repeat1, Shuffle, FlipHorizontal, CassetteTape, Video, Minimize2, Maximize2,
+  Loader2
+} from 'lucide-react';
 import spotifyService from '../services/spotify';
 import youtubeService from '../services/youtube';
+import tracklistService from '../services/tracklist';
+import playlistFileService, { EXPORT_FORMATS } from '../services/playlistFile';
+import Cassette from './Cassette';
+import VolumeKnob from './VolumeKnob';
+import TrackMatchRow from './TrackMatchRow';
+import AddTrackSearch from './AddTrackSearch';
+import MatchConfidenceBadge from './MatchConfidenceBadge';
+import SpotifyPlaylistPicker from './SpotifyPlaylistPicker';
 import supabaseService from '../services/supabase';
+import analyticsService from '../services/analytics';
+import playOrderService, { PLAY_MODES, DEFAULT_PLAY_MODE } from '../services/playOrder';
+import tapeSidesService, { TAPE_LENGTHS } from '../services/tapeSides';
+import { isAbortError } from '../services/http';
+
+// YouTube player error codes for removed (100) or non-embeddable (101, 150) videos
+const UNAVAILABLE_VIDEO_ERRORS = [100, 101, 150];
+const PLAYBACK_POLL_MS = 500; // How often the tape counter reads the player position
+const CASSETTE_MODE_STORAGE_KEY = 'mixtape.cassetteMode';
+
+// Whether the listener last chose the audio-first cassette mode
+const loadCassetteMode = () => {
+  try {
+    return localStorage.getItem(CASSETTE_MODE_STORAGE_KEY) === '1';
+  } catch (error) {
+    return false;
+  }
+};
+
+const PLAY_MODE_ICONS = {
+  stop: ArrowRightToLine,
+  repeat: Repeat,
+  'repeat-one': Repeat1,
+  shuffle: Shuffle,
+};
+
+// What the player says about a tape that can't be played any more
+const ERASED_MESSAGES = {
+  deleted: 'The person who made this mixtape has erased it.',
+  expired: 'This mixtape was only meant to last until a certain day, and that day has passed.',
+  played_out: 'This mixtape could only be played so many times, and it has been played out.',
+};
+
+// Format milliseconds as m:ss (or h:mm:ss)
+const formatRunningTime = (ms) => {
+  const totalSeconds = Math.round(ms / 1000);
+  const hours = Math.floor(totalSeconds / 3600);
+  const minutes = Math.floor((totalSeconds % 3600) / 60);
+  const seconds = String(totalSeconds % 60).padStart(2, '0');
+  return hours ? `${hours}:${String(minutes).padStart(2, '0')}:${seconds}` : `${minutes}:${seconds}`;
+};
+
+// Stable React keys for track rows that survive reordering (artist|title, numbered for repeats)
+const getRowKeys = (tracks) => {
+  const seen = {};
+  return tracks.map(track => {
+    const key = `${track.artist}|${track.name}`;
+    seen[key] = (seen[key] || 0) + 1;
+    return `${key}#${seen[key]}`;
+  });
+};
+
+// Local YYYY-MM-DD for a date input
+const toDateInputValue = (date) => {
+  const d = new Date(date);
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+};
 
 // Cassette color schemes - curated pastel, warm, cozy, vintage bookstore inspired
 const CASSETTE_COLORS = [
@@ -49,12 +118,25 @@ const FONT_STYLES = [
 const MixTape = () => {
   const { id: mixtapeId } = useParams();
   const navigate = useNavigate();
+  const location = useLocation();
+  const [searchParams, setSearchParams] = useSearchParams();
+  const isEditRoute = location.pathname.endsWith('/edit');
+  const editTokenParam = searchParams.get('token');
+  const playMode = playOrderService.isValidMode(searchParams.get('mode')) ? searchParams.get('mode') : DEFAULT_PLAY_MODE;
+  const shuffleSeed = searchParams.get('seed') || mixtapeId || '';
 
   const [view, setView] = useState('landing');
+  const [importMode, setImportMode] = useState('spotify'); // 'spotify' | 'text' | 'file'
   const [playlistUrl, setPlaylistUrl] = useState('');
+  const [tracklistText, setTracklistText] = useState('');
+  const [spotifyLoggedIn, setSpotifyLoggedIn] = useState(spotifyService.isLoggedIn());
+  const [isDraggingFile, setIsDraggingFile] = useState(false);
+  const fileInputRef = useRef(null);
+  const importAbortRef = useRef(null); // Cancels the import in progress
   const [playlistData, setPlaylistData] = useState(null);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState('');
+  const [fetchProgress, setFetchProgress] = useState({ current: 0, total: 0 });
   const [matchingProgress, setMatchingProgress] = useState({ current: 0, total: 0 });
 
   // Customization
@@ -70,13 +152,32 @@ const MixTape = () => {
   const [mixtapeTitle, setMixtapeTitle] = useState('');
   const [personalMessage, setPersonalMessage] = useState('');
   const [senderName, setSenderName] = useState('');
+  const [expiresOn, setExpiresOn] = useState(''); // YYYY-MM-DD, tape is erased after this day
+  const [maxPlays, setMaxPlays] = useState('');
+  const [sideLayout, setSideLayout] = useState(null); // { tapeLength, sideBStart }, null = no sides
+  const [removedTracks, setRemovedTracks] = useState([]); // Removed in the create view, can be restored
+  const [keyboardMovedTrack, setKeyboardMovedTrack] = useState(null); // Keeps focus on its drag handle
 
   // Player
   const [currentTrackIndex, setCurrentTrackIndex] = useState(0);
   const [isPlaying, setIsPlaying] = useState(false);
+  const [sideFinished, setSideFinished] = useState(null); // Side that just ran out, waiting for a flip
+  const [playback, setPlayback] = useState({ currentTime: 0, duration: 0 }); // Seconds, from the player
+  const [isBuffering, setIsBuffering] = useState(false);
+  const [volume, setVolume] = useState(100); // 0-100
+  const [cassetteMode, setCassetteMode] = useState(loadCassetteMode); // Cassette is the player, video minimized
+  const [miniPlayerCollapsed, setMiniPlayerCollapsed] = useState(false);
   const [shareableUrl, setShareableUrl] = useState('');
+  const [editToken, setEditToken] = useState(null); // Set when this browser can edit the mixtape
+  const [isEditing, setIsEditing] = useState(false); // Create view is editing an existing mixtape
+  const [editLinkCopied, setEditLinkCopied] = useState(false);
+  const [erasedReason, setErasedReason] = useState(null); // Why the 'erased' view is showing
   const [copied, setCopied] = useState(false);
+  const [showDownloadMenu, setShowDownloadMenu] = useState(false);
   const playerRef = useRef(null);
+  const loadedVideoIdRef = useRef(null); // Video currently loaded in the player
+  const playerEventsRef = useRef({}); // Latest handlers for the player's event callbacks
+  const startedTrackRef = useRef(null); // Index of the track whose play start was recorded
 
   // Get current color (either preset or custom)
   const getCurrentColor = () => {
@@ -100,14 +201,20 @@ const MixTape = () => {
     return selectedBg.color;
   };
 
-  const fetchPlaylistData = async (url) => {
+  // Load a collection of tracks (from any source) and match it against YouTube
+  // getCollection receives an AbortSignal that fires when the creator cancels
+  const importCollection = async (getCollection) => {
+    const controller = new AbortController();
+    importAbortRef.current = controller;
+
     setLoading(true);
     setError('');
+    setFetchProgress({ current: 0, total: 0 });
     setMatchingProgress({ current: 0, total: 0 });
 
     try {
-      // Step 1: Fetch playlist data from Spotify
-      const playlistData = await spotifyService.getPlaylistFromUrl(url);
+      // Step 1: Load the tracks from the source
+      const playlistData = await getCollection(controller.signal);
 
       // Step 2: Match tracks with YouTube videos
       setMatchingProgress({ current: 0, total: playlistData.tracks.length });
@@ -116,7 +223,8 @@ const MixTape = () => {
         playlistData.tracks,
         (current, total) => {
           setMatchingProgress({ current, total });
-        }
+        },
+        { signal: controller.signal }
       );
 
       // Step 3: Transform final data
@@ -125,50 +233,195 @@ const MixTape = () => {
         name: playlistData.name,
         description: playlistData.description,
         image: playlistData.image,
-        tracks: tracksWithYouTube
+        tracks: tracksWithYouTube,
+        sourceType: playlistData.sourceType,
+        // How long the source is vs. how much of it was imported, for the truncation notice
+        trackCount: playlistData.trackCount,
+        importedCount: tracksWithYouTube.length
       };
 
       setPlaylistData(transformedData);
+      setSideLayout(tapeSidesService.autoSplit(tracksWithYouTube, tapeSidesService.chooseTapeLength(tracksWithYouTube)));
+      setRemovedTracks([]);
       setMixtapeTitle(transformedData.name);
       setLoading(false);
       setView('create');
     } catch (err) {
-      console.error('Error loading playlist:', err);
-      setError(err.message || 'Could not load playlist. Please check the URL and try again.');
+      if (isAbortError(err)) {
+        console.log('Import cancelled');
+      } else {
+        console.error('Error loading playlist:', err);
+        setError(err.message || 'Could not load playlist. Please check the URL and try again.');
+      }
       setLoading(false);
+    } finally {
+      if (importAbortRef.current === controller) {
+        importAbortRef.current = null;
+      }
     }
   };
 
+  const handleCancelImport = () => {
+    importAbortRef.current?.abort();
+  };
+
+  const fetchPlaylistData = (url) => {
+    // Fetch playlist, album, track or artist data from Spotify (every page)
+    return importCollection((signal) => spotifyService.getCollectionFromUrl(url, {
+      onProgress: (current, total) => {
+        setFetchProgress({ current, total });
+      },
+      signal
+    }));
+  };
+
   const handleImportPlaylist = () => {
     if (!playlistUrl.trim()) {
-      setError('Please enter a Spotify playlist URL.');
+      setError('Please enter a Spotify playlist, album, track or artist URL.');
       return;
     }
     fetchPlaylistData(playlistUrl);
   };
 
+  // Import one of the signed-in creator's playlists (or Liked Songs) from the picker
+  const handlePickSpotifyPlaylist = (source) => {
+    importCollection((signal) => {
+      const options = {
+        onProgress: (current, total) => {
+          setFetchProgress({ current, total });
+        },
+        signal
+      };
+      return source.type === 'liked'
+        ? spotifyService.fetchLikedSongs(options)
+        : spotifyService.fetchPlaylist(source.id, options);
+    });
+  };
+
+  const handleSpotifySignIn = async () => {
+    setError('');
+    try {
+      await spotifyService.beginLogin();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleSpotifySignOut = () => {
+    spotifyService.logout();
+    setSpotifyLoggedIn(false);
+  };
+
+  // Finish "Sign in with Spotify" when Spotify redirects back here
+  useEffect(() => {
+    if (!spotifyService.hasLoginCallback()) return;
+
+    spotifyService.completeLogin()
+      .then(() => setSpotifyLoggedIn(true))
+      .catch(err => setError(err.message));
+  }, []);
+
+  const handleImportTracklist = () => {
+    if (!tracklistText.trim()) {
+      setError('Please paste a tracklist, one song per line.');
+      return;
+    }
+    importCollection(async () => tracklistService.getCollectionFromText(tracklistText));
+  };
+
+  const handleImportFile = (file) => {
+    if (!file) return;
+    importCollection(() => playlistFileService.getCollectionFromFile(file));
+  };
+
+  const handleFileDrop = (e) => {
+    e.preventDefault();
+    setIsDraggingFile(false);
+    if (loading) return;
+    handleImportFile(e.dataTransfer.files[0]);
+  };
+
+  // Choosing a tape length re-splits the tracks between the sides
+  const handleTapeLengthChange = (tapeLength) => {
+    setSideLayout(tapeSidesService.autoSplit(playlistData.tracks, tapeLength));
+  };
+
+  // Move the song at the boundary to the other side (delta -1: last of A to B, +1: first of B to A)
+  const handleMoveSideBoundary = (delta) => {
+    setSideLayout(prev => tapeSidesService.normalize(
+      { ...prev, sideBStart: prev.sideBStart + delta },
+      playlistData.tracks.length
+    ));
+  };
+
+  // Track list edits return new tracks and a side layout that keeps songs on their sides
+  const applyTrackEdit = ({ tracks, layout }) => {
+    setPlaylistData(prev => ({ ...prev, tracks }));
+    setSideLayout(layout);
+    setKeyboardMovedTrack(null);
+  };
+
+  const handleMoveTrack = (index, delta) => {
+    applyTrackEdit(tapeSidesService.moveTrackBy(playlistData.tracks, sideLayout, index, delta));
+    setKeyboardMovedTrack(playlistData.tracks[index]);
+  };
+
+  const handleDropTrack = (from, to) => {
+    applyTrackEdit(tapeSidesService.moveTrack(playlistData.tracks, sideLayout, from, to));
+  };
+
+  const handleRemoveTrack = (index) => {
+    const { removed, ...edit } = tapeSidesService.removeTrack(playlistData.tracks, sideLayout, index);
+    applyTrackEdit(edit);
+    setRemovedTracks(prev => [removed, ...prev]);
+  };
+
+  const handleRestoreTrack = (removed) => {
+    applyTrackEdit(tapeSidesService.insertTrack(playlistData.tracks, sideLayout, removed));
+    setRemovedTracks(prev => prev.filter(item => item !== removed));
+  };
+
+  // Added songs go at the end of the tape
+  const handleAddTrack = (track) => {
+    applyTrackEdit({ tracks: [...playlistData.tracks, track], layout: sideLayout });
+  };
+
+  // Replace a track's YouTube match after the creator reviews it
+  const handleMatchChange = (index, updatedTrack) => {
+    setPlaylistData(prev => ({
+      ...prev,
+      tracks: prev.tracks.map((track, idx) => (idx === index ? updatedTrack : track)),
+    }));
+  };
+
+  // Prepare mixtape data for database
+  const buildMixtapeData = () => ({
+    spotifyPlaylistId: playlistData?.id || null,
+    sourceType: playlistData?.sourceType || 'playlist',
+    playlistName: playlistData?.name || '',
+    playlistDescription: playlistData?.description || '',
+    playlistImage: playlistData?.image || null,
+    mixtapeTitle: mixtapeTitle,
+    senderName: senderName || null,
+    personalMessage: personalMessage || null,
+    cassetteColor: getCurrentColor(),
+    backgroundColor: getCurrentBgColor(),
+    fontStyle: selectedFont,
+    sideLayout: tapeSidesService.normalize(sideLayout, playlistData?.tracks.length || 0),
+    // Erase at the end of the chosen day, in the creator's time zone
+    expiresAt: expiresOn ? new Date(`${expiresOn}T23:59:59`).toISOString() : null,
+    maxPlays: parseInt(maxPlays, 10) || null,
+    // Candidate lists and score breakdowns are only needed while reviewing matches
+    tracks: (playlistData?.tracks || []).map(({ youtubeCandidates, youtubeMatchBreakdown, ...track }) => track),
+  });
+
   const handleCreateMixtape = async () => {
     setLoading(true);
     setError('');
 
     try {
-      // Prepare mixtape data for database
-      const mixtapeData = {
-        spotifyPlaylistId: playlistData?.id || null,
-        playlistName: playlistData?.name || '',
-        playlistDescription: playlistData?.description || '',
-        playlistImage: playlistData?.image || null,
-        mixtapeTitle: mixtapeTitle,
-        senderName: senderName || null,
-        personalMessage: personalMessage || null,
-        cassetteColor: getCurrentColor(),
-        backgroundColor: getCurrentBgColor(),
-        fontStyle: selectedFont,
-        tracks: playlistData?.tracks || [],
-      };
-
       // Save to Supabase
-      const { id, url, error: saveError } = await supabaseService.createMixtape(mixtapeData);
+      const { id, url, editToken: newEditToken, error: saveError } = await supabaseService.createMixtape(buildMixtapeData());
 
       if (saveError) {
         setError(`Failed to create mixtape: ${saveError}`);
@@ -177,6 +430,7 @@ const MixTape = () => {
       }
 
       setShareableUrl(url);
+      setEditToken(newEditToken);
       setLoading(false);
       setView('player');
 
@@ -189,13 +443,69 @@ const MixTape = () => {
     }
   };
 
+  // Save changes made through an edit link
+  const handleSaveMixtape = async () => {
+    setLoading(true);
+    setError('');
+
+    const { error: saveError } = await supabaseService.updateMixtape(mixtapeId, editToken, buildMixtapeData());
+
+    setLoading(false);
+    if (saveError) {
+      setError(`Failed to save changes: ${saveError}`);
+      return;
+    }
+
+    navigate(`/mixtape/${mixtapeId}`);
+  };
+
+  // Erase the mixtape for good (edit view only)
+  const handleEraseMixtape = async () => {
+    if (!window.confirm('Erase this mixtape? Anyone with the link will see that it has been erased. This cannot be undone.')) {
+      return;
+    }
+
+    setLoading(true);
+    setError('');
+
+    const { error: eraseError } = await supabaseService.deleteMixtape(mixtapeId, editToken);
+
+    setLoading(false);
+    if (eraseError) {
+      setError(`Failed to erase mixtape: ${eraseError}`);
+      return;
+    }
+
+    setEditToken(null);
+    setIsEditing(false);
+    setErasedReason('deleted');
+    setView('erased');
+    navigate(`/mixtape/${mixtapeId}`, { replace: true });
+  };
+
+  const copyEditLink = () => {
+    navigator.clipboard.writeText(supabaseService.getEditUrl(mixtapeId, editToken));
+    setEditLinkCopied(true);
+    setTimeout(() => setEditLinkCopied(false), 2000);
+  };
+
+  // Shared links carry the play mode (and shuffle seed), e.g. "play it on repeat"
+  const getShareUrl = () => {
+    const params = new URLSearchParams();
+    if (playMode !== DEFAULT_PLAY_MODE) params.set('mode', playMode);
+    if (playMode === 'shuffle') params.set('seed', shuffleSeed);
+
+    const query = params.toString();
+    return query ? `${shareableUrl}?${query}` : shareableUrl;
+  };
+
   const handleShare = async () => {
     if (navigator.share) {
       try {
         await navigator.share({
           title: mixtapeTitle,
           text: `${senderName || 'Someone'} made you a mixtape`,
-          url: shareableUrl,
+          url: getShareUrl(),
         });
       } catch (err) {
         copyToClipboard();
@@ -206,42 +516,212 @@ const MixTape = () => {
   };
 
   const copyToClipboard = () => {
-    navigator.clipboard.writeText(shareableUrl);
+    navigator.clipboard.writeText(getShareUrl());
     setCopied(true);
     setTimeout(() => setCopied(false), 2000);
   };
 
-  const handleNext = useCallback(() => {
-    if (!playlistData) return;
+  const handleDownloadTracklist = (format) => {
+    const { content, fileName, mimeType } = playlistFileService.serialize(playlistData, format, {
+      title: mixtapeTitle,
+      creator: senderName,
+    });
 
-    let nextIndex = (currentTrackIndex + 1) % playlistData.tracks.length;
-    let attempts = 0;
+    const blobUrl = URL.createObjectURL(new Blob([content], { type: mimeType }));
+    const link = document.createElement('a');
+    link.href = blobUrl;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(blobUrl);
 
-    // Auto-skip tracks without YouTube IDs (max attempts = playlist length)
-    while (!playlistData.tracks[nextIndex]?.youtubeId && attempts < playlistData.tracks.length) {
-      nextIndex = (nextIndex + 1) % playlistData.tracks.length;
-      attempts++;
+    setShowDownloadMenu(false);
+  };
+
+  // Switch tracks; "switching" to the current track restarts it
+  const playTrackAt = useCallback((index) => {
+    if (index === currentTrackIndex) {
+      playerRef.current?.seekTo?.(0, true);
+      playerRef.current?.playVideo?.();
+      return;
     }
 
-    setCurrentTrackIndex(nextIndex);
+    setCurrentTrackIndex(index);
     setIsPlaying(false);
-  }, [playlistData, currentTrackIndex]);
+  }, [currentTrackIndex]);
+
+  // ended: the current track finished by itself (repeat-one replays it)
+  const handleNext = useCallback(({ ended = false } = {}) => {
+    if (!playlistData) return;
+
+    const nextIndex = playOrderService.getNextIndex(playlistData.tracks, currentTrackIndex, playMode, shuffleSeed, { ended });
+
+    // The tape has run out
+    if (nextIndex === null) {
+      setIsPlaying(false);
+      return;
+    }
+
+    // Like a real tape, Side A stops at its end until the listener flips it
+    const currentSide = tapeSidesService.getSide(currentTrackIndex, sideLayout);
+    if (ended && playMode === DEFAULT_PLAY_MODE && currentSide && tapeSidesService.getSide(nextIndex, sideLayout) !== currentSide) {
+      setSideFinished(currentSide);
+      setIsPlaying(false);
+      return;
+    }
+
+    playTrackAt(nextIndex);
+  }, [playlistData, currentTrackIndex, playMode, shuffleSeed, sideLayout, playTrackAt]);
 
   const handlePrevious = useCallback(() => {
     if (!playlistData) return;
 
-    let prevIndex = currentTrackIndex === 0 ? playlistData.tracks.length - 1 : currentTrackIndex - 1;
-    let attempts = 0;
+    const prevIndex = playOrderService.getPreviousIndex(playlistData.tracks, currentTrackIndex, playMode, shuffleSeed);
+
+    // At the start of the tape, rewind the first song
+    playTrackAt(prevIndex === null ? currentTrackIndex : prevIndex);
+  }, [playlistData, currentTrackIndex, playMode, shuffleSeed, playTrackAt]);
+
+  // Cycle stop-at-end -> repeat tape -> repeat song -> shuffle, kept in the URL so it can be shared
+  const handleCyclePlayMode = () => {
+    const mode = playOrderService.nextMode(playMode);
+
+    setSearchParams(params => {
+      if (mode === DEFAULT_PLAY_MODE) {
+        params.delete('mode');
+      } else {
+        params.set('mode', mode);
+      }
+      if (mode === 'shuffle') {
+        params.set('seed', playOrderService.createSeed());
+      } else {
+        params.delete('seed');
+      }
+      return params;
+    }, { replace: true });
+  };
+
+  const handleTrackError = useCallback((errorCode) => {
+    console.error('YouTube player error:', errorCode);
+
+    const index = currentTrackIndex;
+    const failedTrack = playlistData?.tracks[index];
+
+    // Auto-skip to next track on error
+    handleNext();
+
+    if (!failedTrack?.youtubeId || !UNAVAILABLE_VIDEO_ERRORS.includes(errorCode)) return;
 
-    // Auto-skip tracks without YouTube IDs (max attempts = playlist length)
-    while (!playlistData.tracks[prevIndex]?.youtubeId && attempts < playlistData.tracks.length) {
-      prevIndex = prevIndex === 0 ? playlistData.tracks.length - 1 : prevIndex - 1;
-      attempts++;
+    // Find a replacement video in the background so the track plays next time round
+    youtubeService.rematchTrack(failedTrack).then(updatedTrack => {
+      setPlaylistData(prev => prev && {
+        ...prev,
+        tracks: prev.tracks.map((track, i) => (
+          i === index && track.youtubeId === failedTrack.youtubeId ? updatedTrack : track
+        )),
+      });
+    }).catch(err => console.warn(`Could not re-match ${failedTrack.name}:`, err.message));
+  }, [playlistData, currentTrackIndex, handleNext]);
+
+  // Record a listening event for the stats page; the creator's own listening isn't counted
+  const recordListening = useCallback((method, trackIndex, withPosition = true) => {
+    const track = playlistData?.tracks[trackIndex];
+    if (!mixtapeId || editToken || !track) return;
+    const position = withPosition ? playerRef.current?.getCurrentTime?.() : undefined;
+    analyticsService[method](mixtapeId, track, trackIndex, position);
+  }, [mixtapeId, editToken, playlistData]);
+
+  // First PLAYING of the session counts as a play (the service ignores repeats).
+  // The creator previewing their own tape doesn't use up its plays.
+  const handlePlaying = useCallback(() => {
+    setIsPlaying(true);
+    setSideFinished(null);
+    if (mixtapeId && !editToken) {
+      supabaseService.incrementPlayCount(mixtapeId);
+    }
+    if (startedTrackRef.current !== currentTrackIndex) {
+      startedTrackRef.current = currentTrackIndex;
+      recordListening('trackStarted', currentTrackIndex, false);
     }
+  }, [mixtapeId, editToken, currentTrackIndex, recordListening]);
 
-    setCurrentTrackIndex(prevIndex);
+  const handlePaused = useCallback(() => {
     setIsPlaying(false);
-  }, [playlistData, currentTrackIndex]);
+    recordListening('trackPaused', currentTrackIndex);
+  }, [currentTrackIndex, recordListening]);
+
+  const handleEnded = useCallback(() => {
+    recordListening('trackCompleted', currentTrackIndex);
+    startedTrackRef.current = null;
+    handleNext({ ended: true });
+  }, [currentTrackIndex, recordListening, handleNext]);
+
+  // Leaving a track the listener started (and didn't finish) counts as a skip
+  const recordSkip = () => {
+    if (startedTrackRef.current === currentTrackIndex) {
+      recordListening('trackSkipped', currentTrackIndex);
+      startedTrackRef.current = null;
+    }
+  };
+
+  const handleSkipForward = () => {
+    recordSkip();
+    handleNext();
+  };
+
+  const handleSkipBack = () => {
+    recordSkip();
+    handlePrevious();
+  };
+
+  // Jump to the start of the other side
+  const handleFlipTape = () => {
+    const otherSide = tapeSidesService.getSide(currentTrackIndex, sideLayout) === 'A' ? 'B' : 'A';
+    const index = tapeSidesService.getFirstPlayableIndex(playlistData.tracks, sideLayout, otherSide);
+    if (index === null) return;
+
+    recordSkip();
+    setSideFinished(null);
+    playTrackAt(index);
+  };
+
+  // A fresh player starts at full volume, so apply the knob's setting once it's ready
+  const handleReady = () => {
+    playerRef.current?.setVolume?.(volume);
+  };
+
+  // The player keeps the callbacks it was created with, so route events through a ref
+  playerEventsRef.current = { handleTrackError, handlePlaying, handlePaused, handleEnded, handleReady };
+
+  const handleVolumeChange = (value) => {
+    setVolume(value);
+    playerRef.current?.setVolume?.(value);
+  };
+
+  const handleToggleCassetteMode = () => {
+    const enabled = !cassetteMode;
+    setCassetteMode(enabled);
+    setMiniPlayerCollapsed(false);
+    try {
+      localStorage.setItem(CASSETTE_MODE_STORAGE_KEY, enabled ? '1' : '0');
+    } catch (error) {
+      // Private browsing or storage full - the choice just won't stick
+    }
+  };
+
+  // Drag the scrubber to seek within the current track
+  const handleScrub = (e) => {
+    const time = Number(e.target.value);
+    playerRef.current?.seekTo?.(time, true);
+    setPlayback(prev => ({ ...prev, currentTime: time }));
+  };
+
+  const loadVideo = (videoId) => {
+    if (loadedVideoIdRef.current === videoId) return;
+    loadedVideoIdRef.current = videoId;
+    playerRef.current.loadVideoById(videoId);
+  };
 
   const initializePlayer = useCallback(() => {
     if (!playlistData || !playlistData.tracks[currentTrackIndex]) return;
@@ -256,11 +736,12 @@ const MixTape = () => {
 
     // If player already exists, just load the new video
     if (playerRef.current && playerRef.current.loadVideoById) {
-      playerRef.current.loadVideoById(currentTrack.youtubeId);
+      loadVideo(currentTrack.youtubeId);
       return;
     }
 
     // Create new player
+    loadedVideoIdRef.current = currentTrack.youtubeId;
     playerRef.current = new window.YT.Player('youtube-player', {
       height: '360',
       width: '640',
@@ -274,26 +755,26 @@ const MixTape = () => {
       events: {
         onReady: (event) => {
           console.log('YouTube player ready');
+          playerEventsRef.current.handleReady();
         },
         onStateChange: (event) => {
+          setIsBuffering(event.data === window.YT.PlayerState.BUFFERING);
           if (event.data === window.YT.PlayerState.ENDED) {
-            handleNext();
+            playerEventsRef.current.handleEnded();
           }
           if (event.data === window.YT.PlayerState.PLAYING) {
-            setIsPlaying(true);
+            playerEventsRef.current.handlePlaying();
           }
           if (event.data === window.YT.PlayerState.PAUSED) {
-            setIsPlaying(false);
+            playerEventsRef.current.handlePaused();
           }
         },
         onError: (event) => {
-          console.error('YouTube player error:', event.data);
-          // Auto-skip to next track on error
-          handleNext();
+          playerEventsRef.current.handleTrackError(event.data);
         },
       },
     });
-  }, [playlistData, currentTrackIndex, handleNext]);
+  }, [playlistData, currentTrackIndex]);
 
   // YouTube player
   useEffect(() => {
@@ -311,6 +792,17 @@ const MixTape = () => {
     }
   }, [view, initializePlayer]);
 
+  // The player's iframe goes away with the player view (e.g. when opening the editor)
+  useEffect(() => {
+    if (view !== 'player' && playerRef.current) {
+      playerRef.current.destroy?.();
+      playerRef.current = null;
+      loadedVideoIdRef.current = null;
+      setIsPlaying(false);
+      setIsBuffering(false);
+    }
+  }, [view]);
+
   const handlePlayPause = () => {
     if (!playerRef.current || !playerRef.current.playVideo) {
       console.warn('YouTube player not ready');
@@ -333,23 +825,64 @@ const MixTape = () => {
   useEffect(() => {
     if (view === 'player' && playerRef.current && playerRef.current.loadVideoById && playlistData) {
       const currentTrack = playlistData.tracks[currentTrackIndex];
-      if (currentTrack?.youtubeId) {
-        playerRef.current.loadVideoById(currentTrack.youtubeId);
+      if (currentTrack?.youtubeId && currentTrack.youtubeId !== loadedVideoIdRef.current) {
+        loadVideo(currentTrack.youtubeId);
         setIsPlaying(false);
       }
     }
   }, [currentTrackIndex, view, playlistData]);
 
+  // Follow the player's position for the tape counter, reels and scrubber
+  useEffect(() => {
+    if (view !== 'player') return undefined;
+
+    const timer = setInterval(() => {
+      const player = playerRef.current;
+      if (!player?.getCurrentTime) return;
+
+      const currentTime = player.getCurrentTime() || 0;
+      const duration = player.getDuration?.() || 0;
+      setPlayback(prev => (
+        Math.abs(prev.currentTime - currentTime) < 0.25 && prev.duration === duration
+          ? prev
+          : { currentTime, duration }
+      ));
+    }, PLAYBACK_POLL_MS);
+
+    return () => clearInterval(timer);
+  }, [view]);
+
   // Load mixtape from database when viewing a shared link
   useEffect(() => {
     const loadSharedMixtape = async () => {
-      if (!mixtapeId) return;
+      if (!mixtapeId) {
+        // "/" reuses this component, so leave the erased page when navigating home
+        setErasedReason(null);
+        setView(current => (current === 'erased' ? 'landing' : current));
+        return;
+      }
 
       setLoading(true);
       setError('');
 
       try {
-        const { mixtape, error: loadError } = await supabaseService.loadMixtape(mixtapeId);
+        // Edit links carry the token; otherwise use one this browser saved when creating the tape
+        const token = (isEditRoute && editTokenParam) || supabaseService.getSavedEditToken(mixtapeId);
+
+        const [{ mixtape, error: loadError, erasedReason: erased }, { valid: canEdit }] = await Promise.all([
+          supabaseService.loadMixtape(mixtapeId, token || null),
+          token ? supabaseService.verifyEditToken(mixtapeId, token) : { valid: false },
+        ]);
+
+        // The owner can still open an expired or played-out tape from the edit link to extend it
+        if (erased && !(mixtape && canEdit && isEditRoute)) {
+          setErasedReason(erased);
+          setEditToken(mixtape && canEdit ? token : null);
+          setIsEditing(false);
+          setLoading(false);
+          setView('erased');
+          return;
+        }
 
         if (loadError) {
           setError(loadError === 'Mixtape not found'
@@ -367,10 +900,15 @@ const MixTape = () => {
           description: mixtape.playlistDescription,
           image: mixtape.playlistImage,
           tracks: mixtape.tracks,
+          sourceType: mixtape.sourceType,
         });
+        setSideLayout(tapeSidesService.normalize(mixtape.sideLayout, mixtape.tracks.length));
+        setRemovedTracks([]);
         setMixtapeTitle(mixtape.mixtapeTitle);
         setSenderName(mixtape.senderName || '');
         setPersonalMessage(mixtape.personalMessage || '');
+        setExpiresOn(mixtape.expiresAt ? toDateInputValue(mixtape.expiresAt) : '');
+        setMaxPlays(mixtape.maxPlays ? String(mixtape.maxPlays) : '');
 
         // Set colors
         if (mixtape.cassetteColor.id === 'custom') {
@@ -398,14 +936,35 @@ const MixTape = () => {
         if (fontMatch) setSelectedFont(fontMatch);
 
         // Set shareable URL
-        const url = `${window.location.origin}/#/mixtape/${mixtapeId}`;
-        setShareableUrl(url);
+        setShareableUrl(supabaseService.getMixtapeUrl(mixtapeId));
+        setEditToken(canEdit ? token : null);
 
+        if (isEditRoute) {
+          setLoading(false);
+          if (canEdit) {
+            supabaseService.saveEditToken(mixtapeId, token);
+            setIsEditing(true);
+            setView('create');
+            return;
+          }
+          setError('This edit link is not valid. Here is the mixtape as others see it.');
+        }
+
+        setIsEditing(false);
         setLoading(false);
         setView('player');
 
-        // Increment view count (fire and forget)
-        supabaseService.incrementViewCount(mixtapeId);
+        // Count the view once per browser (fire and forget), unless it's the creator's
+        if (!canEdit) {
+          supabaseService.incrementViewCount(mixtapeId);
+        }
+
+        // Re-check videos that haven't been verified recently and swap out removed ones
+        youtubeService.revalidateTracks(mixtape.tracks).then(tracks => {
+          if (tracks !== mixtape.tracks) {
+            setPlaylistData(prev => prev && { ...prev, tracks });
+          }
+        }).catch(err => console.warn('Could not re-check mixtape videos:', err.message));
       } catch (err) {
         console.error('Error loading shared mixtape:', err);
         setError('An unexpected error occurred while loading this mixtape.');
@@ -415,233 +974,12 @@ const MixTape = () => {
     };
 
     loadSharedMixtape();
-  }, [mixtapeId]);
-
-  // Cassette component matching the reference image
-  const Cassette = ({ color, bgColor, title, message, sender, font, size = 'large', showBgSelector = false }) => {
-    const scale = size === 'small' ? 0.65 : 1;
-
-    return (
-      <div
-        className="cassette-wrapper relative mx-auto transition-all duration-300"
-        style={{
-          width: `${480 * scale}px`,
-          padding: `${60 * scale}px ${40 * scale}px`,
-          backgroundColor: bgColor,
-          borderRadius: `${12 * scale}px`,
-        }}
-      >
-        {/* Cassette body */}
-        <div
-          className="relative rounded-lg shadow-2xl overflow-hidden"
-          style={{
-            backgroundColor: color.shell,
-            aspectRatio: '1.56/1',
-          }}
-        >
-          {/* Corner screws */}
-          <div className="absolute top-3 left-3 w-3 h-3 rounded-full bg-black opacity-30 shadow-inner"></div>
-          <div className="absolute top-3 right-3 w-3 h-3 rounded-full bg-black opacity-30 shadow-inner"></div>
-          <div className="absolute bottom-3 left-3 w-3 h-3 rounded-full bg-black opacity-30 shadow-inner"></div>
-          <div className="absolute bottom-3 right-3 w-3 h-3 rounded-full bg-black opacity-30 shadow-inner"></div>
-
-          {/* Top section - label area */}
-          <div className="p-5">
-            {/* White sticker circle (top left) */}
-            <div className="absolute top-6 left-6 w-8 h-8 rounded-full bg-white opacity-90 shadow"></div>
-
-            {/* Label sticker */}
-            <div
-              className="relative rounded mx-6 mt-2 p-5 shadow-md"
-              style={{
-                backgroundColor: color.label,
-                minHeight: '80px'
-              }}
-            >
-              <div className="text-center">
-                <div className="text-sm font-bold text-gray-800 mb-1 leading-tight" style={{ fontFamily: font?.family || 'Courier, monospace' }}>
-                  {title || 'Untitled Mix'}
-                </div>
-                {sender && (
-                  <div className="text-xs text-gray-600 italic" style={{ fontFamily: font?.family || 'Georgia, serif' }}>
-                    from {sender}
-                  </div>
-                )}
-                {message && size === 'large' && (
-                  <div className="mt-3 pt-2 border-t border-gray-300">
-                    <p className="text-xs text-gray-700 italic leading-relaxed line-clamp-3" style={{ fontFamily: font?.family || 'Georgia, serif' }}>
-                      "{message}"
-                    </p>
-                  </div>
-                )}
-              </div>
-            </div>
-          </div>
-
-          {/* Middle section - tape mechanism */}
-          <div
-            className="relative px-8 py-4"
-            style={{ backgroundColor: color.inner }}
-          >
-            <div className="flex justify-between items-center">
-              {/* Left spool */}
-              <div className="relative">
-                <div className="w-20 h-20 rounded-full bg-white bg-opacity-40 flex items-center justify-center shadow-lg">
-                  <div
-                    className={`w-16 h-16 rounded-full bg-gray-800 flex items-center justify-center relative ${isPlaying ? 'animate-spin-slow' : ''}`}
-                    style={{
-                      boxShadow: 'inset 0 2px 8px rgba(0,0,0,0.3)'
-                    }}
-                  >
-                    {/* Center hole */}
-                    <div className="w-4 h-4 rounded-full bg-gray-600"></div>
-                    {/* Spool teeth */}
-                    {[...Array(6)].map((_, i) => (
-                      <div
-                        key={i}
-                        className="absolute w-1 h-6 bg-gray-700 rounded"
-                        style={{
-                          transform: `rotate(${i * 60}deg) translateY(-24px)`,
-                        }}
-                      />
-                    ))}
-                  </div>
-                </div>
-              </div>
-
-              {/* Center tape window with counter */}
-              <div className="flex-1 mx-4">
-                <div
-                  className="bg-black bg-opacity-60 rounded px-4 py-3 text-center shadow-inner"
-                  style={{ fontFamily: 'monospace' }}
-                >
-                  <div className="flex justify-center items-baseline gap-4 text-white opacity-80">
-                    <span className="text-xs">150</span>
-                    <span className="text-lg font-bold">50</span>
-                    <span className="text-xs">0</span>
-                  </div>
-                  <div className="flex justify-center gap-1 mt-1">
-                    {[...Array(12)].map((_, i) => (
-                      <div
-                        key={i}
-                        className="w-0.5 h-2 bg-white opacity-40"
-                        style={{ height: i % 3 === 0 ? '8px' : '6px' }}
-                      ></div>
-                    ))}
-                  </div>
-                </div>
-              </div>
-
-              {/* Right spool */}
-              <div className="relative">
-                <div className="w-20 h-20 rounded-full bg-white bg-opacity-40 flex items-center justify-center shadow-lg">
-                  <div
-                    className={`w-16 h-16 rounded-full bg-gray-800 flex items-center justify-center relative ${isPlaying ? 'animate-spin-slow' : ''}`}
-                    style={{
-                      boxShadow: 'inset 0 2px 8px rgba(0,0,0,0.3)'
-                    }}
-                  >
-                    {/* Center hole */}
-                    <div className="w-4 h-4 rounded-full bg-gray-600"></div>
-                    {/* Spool teeth */}
-                    {[...Array(6)].map((_, i) => (
-                      <div
-                        key={i}
-                        className="absolute w-1 h-6 bg-gray-700 rounded"
-                        style={{
-                          transform: `rotate(${i * 60}deg) translateY(-24px)`,
-                        }}
-                      />
-                    ))}
-                  </div>
-                </div>
-              </div>
-            </div>
-
-            {/* Tape guides (triangles on sides) */}
-            <div className="absolute left-8 top-1/2 -translate-y-1/2 w-0 h-0 border-l-[12px] border-l-transparent border-r-[12px] border-r-gray-700 border-t-[8px] border-t-transparent border-b-[8px] border-b-transparent opacity-40"></div>
-            <div className="absolute right-8 top-1/2 -translate-y-1/2 w-0 h-0 border-l-[12px] border-l-gray-700 border-r-[12px] border-r-transparent border-t-[8px] border-t-transparent border-b-[8px] border-b-transparent opacity-40"></div>
-          </div>
-
-          {/* Bottom section - darker shell */}
-          <div
-            className="relative h-16"
-            style={{ backgroundColor: color.shell }}
-          >
-            {/* Bottom roller holes */}
-            <div className="absolute left-16 top-1/2 -translate-y-1/2 w-4 h-4 rounded-full bg-black opacity-40"></div>
-            <div className="absolute right-16 top-1/2 -translate-y-1/2 w-4 h-4 rounded-full bg-black opacity-40"></div>
-
-            {/* Center screw */}
-            <div className="absolute left-1/2 top-1/2 -translate-x-1/2 -translate-y-1/2 w-3 h-3 rounded-full bg-black opacity-30"></div>
-          </div>
-        </div>
-
-        {/* Color options below cassette - only show if showBgSelector is true */}
-        {showBgSelector && (
-          <div className="mt-8">
-            <div className="text-center mb-3" style={{ opacity: 0.6 }}>
-              <p className="text-sm" style={{ fontFamily: 'Georgia, serif', color: '#2C2416' }}>
-                background
-              </p>
-            </div>
-            <div className="flex justify-center gap-2 items-center">
-              {BACKGROUND_COLORS.map((bg) => (
-                <button
-                  key={bg.id}
-                  onClick={() => {
-                    setSelectedBg(bg);
-                    setIsCustomBg(false);
-                  }}
-                  className={`w-10 h-10 rounded-full transition-all ${
-                    selectedBg.id === bg.id && !isCustomBg ? 'ring-2 ring-gray-800 ring-offset-2' : ''
-                  }`}
-                  style={{ backgroundColor: bg.color }}
-                />
-              ))}
-
-              {/* Custom background color picker */}
-              <button
-                onClick={() => setIsCustomBg(true)}
-                className={`w-10 h-10 rounded-full transition-all flex items-center justify-center ${
-                  isCustomBg
-                    ? 'ring-2 ring-gray-800 ring-offset-2 bg-gradient-to-br from-pink-300 via-purple-300 to-indigo-300'
-                    : 'bg-gradient-to-br from-pink-200 via-purple-200 to-indigo-200'
-                }`}
-                title="Custom background color"
-              >
-                <svg className="w-5 h-5 text-white" fill="currentColor" viewBox="0 0 20 20">
-                  <path d="M13.586 3.586a2 2 0 112.828 2.828l-.793.793-2.828-2.828.793-.793zM11.379 5.793L3 14.172V17h2.828l8.38-8.379-2.83-2.828z" />
-                </svg>
-              </button>
-            </div>
-
-            {/* Custom background color input */}
-            {isCustomBg && (
-              <div className="mt-4 flex justify-center gap-2 items-center">
-                <input
-                  type="color"
-                  value={customBgColor}
-                  onChange={(e) => setCustomBgColor(e.target.value)}
-                  className="w-12 h-8 rounded border border-gray-300 cursor-pointer"
-                />
-                <input
-                  type="text"
-                  value={customBgColor}
-                  onChange={(e) => setCustomBgColor(e.target.value)}
-                  className="px-3 py-1 text-sm rounded border border-gray-300 font-mono w-32"
-                  placeholder="#F5F1E8"
-                />
-              </div>
-            )}
-          </div>
-        )}
-      </div>
-    );
-  };
+  }, [mixtapeId, isEditRoute, editTokenParam]);
 
   // Landing Page
   if (view === 'landing') {
+    const quotaStatus = youtubeService.getQuotaStatus();
+
     return (
       <div className="min-h-screen bg-warmwhite p-6" style={{ backgroundColor: '#F5F1E8' }}>
         <div className="max-w-4xl mx-auto pt-12 pb-20">
@@ -673,41 +1011,154 @@ const MixTape = () => {
           {/* Input area */}
           <div className="max-w-xl mx-auto">
             <div className="bg-white rounded-lg shadow-sm border border-gray-200 p-8">
-              <label className="block text-sm text-gray-700 mb-3" style={{ fontFamily: 'Georgia, serif' }}>
-                Paste a Spotify playlist URL
-              </label>
-
-              <input
-                type="text"
-                placeholder="https://open.spotify.com/playlist/..."
-                className="w-full px-4 py-3 rounded border border-gray-300 focus:border-gray-500 focus:outline-none text-sm mb-4"
-                style={{ fontFamily: 'monospace' }}
-                value={playlistUrl}
-                onChange={(e) => setPlaylistUrl(e.target.value)}
-                onKeyPress={(e) => e.key === 'Enter' && handleImportPlaylist()}
-              />
+              {/* Import mode tabs */}
+              <div className="flex gap-4 mb-5 text-sm border-b border-gray-200">
+                {[
+                  { id: 'spotify', label: 'Spotify link' },
+                  { id: 'text', label: 'Paste a tracklist' },
+                  { id: 'file', label: 'Playlist file' },
+                ].map((mode) => (
+                  <button
+                    key={mode.id}
+                    onClick={() => {
+                      setImportMode(mode.id);
+                      setError('');
+                    }}
+                    className={`pb-2 -mb-px border-b-2 transition-all ${
+                      importMode === mode.id
+                        ? 'border-gray-800 text-gray-800'
+                        : 'border-transparent text-gray-500 hover:text-gray-700'
+                    }`}
+                    style={{ fontFamily: 'Georgia, serif' }}
+                  >
+                    {mode.label}
+                  </button>
+                ))}
+              </div>
+
+              {importMode === 'file' ? (
+                <div
+                  onDragOver={(e) => {
+                    e.preventDefault();
+                    setIsDraggingFile(true);
+                  }}
+                  onDragLeave={() => setIsDraggingFile(false)}
+                  onDrop={handleFileDrop}
+                  onClick={() => !loading && fileInputRef.current?.click()}
+                  className={`w-full px-4 py-10 rounded border-2 border-dashed text-center text-sm mb-4 cursor-pointer transition-all ${
+                    isDraggingFile ? 'border-gray-800 bg-gray-50' : 'border-gray-300 hover:border-gray-500'
+                  }`}
+                >
+                  <p className="text-gray-700" style={{ fontFamily: 'Georgia, serif' }}>
+                    {loading ? 'Reading playlist...' : 'Drop a playlist file here, or click to choose one'}
+                  </p>
+                  <p className="text-xs text-gray-500 mt-2">.m3u, .m3u8, .xspf or .jspf</p>
+                  <input
+                    ref={fileInputRef}
+                    type="file"
+                    accept={playlistFileService.acceptedExtensions}
+                    className="hidden"
+                    onChange={(e) => {
+                      handleImportFile(e.target.files[0]);
+                      e.target.value = '';
+                    }}
+                  />
+                </div>
+              ) : importMode === 'spotify' ? (
+                <>
+                  <label className="block text-sm text-gray-700 mb-3" style={{ fontFamily: 'Georgia, serif' }}>
+                    Paste a Spotify playlist, album, track or artist URL
+                  </label>
+
+                  <input
+                    type="text"
+                    placeholder="https://open.spotify.com/playlist/..."
+                    className="w-full px-4 py-3 rounded border border-gray-300 focus:border-gray-500 focus:outline-none text-sm mb-4"
+                    style={{ fontFamily: 'monospace' }}
+                    value={playlistUrl}
+                    onChange={(e) => setPlaylistUrl(e.target.value)}
+                    onKeyPress={(e) => e.key === 'Enter' && handleImportPlaylist()}
+                  />
+
+                  {spotifyLoggedIn ? (
+                    <SpotifyPlaylistPicker
+                      onSelect={handlePickSpotifyPlaylist}
+                      onSignOut={handleSpotifySignOut}
+                      disabled={loading}
+                    />
+                  ) : (
+                    <p className="text-xs text-gray-500 -mt-2 mb-4">
+                      Private playlist?{' '}
+                      <button onClick={handleSpotifySignIn} className="underline hover:text-gray-700">
+                        Sign in with Spotify
+                      </button>
+                      {' '}to pick from your own playlists and Liked Songs.
+                    </p>
+                  )}
+                </>
+              ) : (
+                <>
+                  <label className="block text-sm text-gray-700 mb-3" style={{ fontFamily: 'Georgia, serif' }}>
+                    One song per line, or paste a CSV/TSV export
+                  </label>
+
+                  <textarea
+                    rows="8"
+                    placeholder={'Fleetwood Mac - Dreams (4:14)\nHarvest Moon by Neil Young\n...'}
+                    className="w-full px-4 py-3 rounded border border-gray-300 focus:border-gray-500 focus:outline-none text-sm mb-4 resize-y"
+                    style={{ fontFamily: 'monospace' }}
+                    value={tracklistText}
+                    onChange={(e) => setTracklistText(e.target.value)}
+                  />
+                </>
+              )}
 
               {error && (
                 <p className="text-red-600 text-sm mb-4">{error}</p>
               )}
 
-              <button
-                onClick={handleImportPlaylist}
-                disabled={loading || !playlistUrl}
-                className="w-full bg-warmblack text-white py-3 rounded hover:bg-opacity-90 disabled:opacity-50 disabled:cursor-not-allowed transition-all"
-                style={{ backgroundColor: '#2C2416', fontFamily: 'Georgia, serif' }}
-              >
-                {loading ? (
-                  matchingProgress.total > 0 ?
-                    `Matching tracks... (${matchingProgress.current}/${matchingProgress.total})` :
-                    'Loading playlist...'
-                ) : 'Create mixtape'}
-              </button>
+              {(importMode !== 'file' || loading) && (
+                <button
+                  onClick={importMode === 'spotify' ? handleImportPlaylist : handleImportTracklist}
+                  disabled={loading || (importMode === 'spotify' ? !playlistUrl : !tracklistText.trim())}
+                  className="w-full bg-warmblack text-white py-3 rounded hover:bg-opacity-90 disabled:opacity-50 disabled:cursor-not-allowed transition-all"
+                  style={{ backgroundColor: '#2C2416', fontFamily: 'Georgia, serif' }}
+                >
+                  {loading ? (
+                    matchingProgress.total > 0 ?
+                      `Matching tracks... (${matchingProgress.current}/${matchingProgress.total})` :
+                      fetchProgress.total > 0 ?
+                        `Loading playlist... (${fetchProgress.current}/${fetchProgress.total})` :
+                        'Loading playlist...'
+                  ) : 'Create mixtape'}
+                </button>
+              )}
+
+              {loading && (
+                <button
+                  onClick={handleCancelImport}
+                  className="w-full mt-2 py-2 text-sm text-gray-600 hover:text-gray-800"
+                  style={{ fontFamily: 'Georgia, serif' }}
+                >
+                  Cancel
+                </button>
+              )}
             </div>
 
             <p className="text-center text-xs text-gray-500 mt-6">
               Free • No account required • Works on any device
             </p>
+
+            {quotaStatus.allExhausted ? (
+              <p className="text-center text-xs text-amber-700 mt-2">
+                Today's YouTube search quota is used up (resets at {quotaStatus.resetsAt.toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' })}).
+                Songs we haven't seen before will use a slower backup search.
+              </p>
+            ) : quotaStatus.keys.length > 0 && quotaStatus.remainingSearches < 50 && (
+              <p className="text-center text-xs text-amber-700 mt-2">
+                About {quotaStatus.remainingSearches} new song searches left today
+              </p>
+            )}
           </div>
 
           {/* Info cards */}
@@ -749,18 +1200,20 @@ const MixTape = () => {
 
   // Create/Customize Page
   if (view === 'create') {
+    const rowKeys = getRowKeys(playlistData?.tracks || []);
+
     return (
       <div className="min-h-screen bg-warmwhite p-6" style={{ backgroundColor: '#F5F1E8' }}>
         <div className="max-w-5xl mx-auto pt-8 pb-20">
           <button
-            onClick={() => setView('landing')}
+            onClick={() => (isEditing ? navigate(`/mixtape/${mixtapeId}`) : setView('landing'))}
             className="text-gray-600 hover:text-gray-800 mb-8 text-sm"
           >
             ← Back
           </button>
 
           <h1 className="text-3xl mb-12 text-center text-warmblack" style={{ fontFamily: 'Georgia, serif', color: '#2C2416' }}>
-            Customize your cassette
+            {isEditing ? 'Edit your cassette' : 'Customize your cassette'}
           </h1>
 
           <div className="grid grid-cols-1 lg:grid-cols-2 gap-8">
@@ -773,8 +1226,66 @@ const MixTape = () => {
                 message={personalMessage}
                 sender={senderName}
                 font={selectedFont}
-                showBgSelector={true}
-              />
+                side={sideLayout ? 'A' : null}
+              >
+                {/* Background options below the cassette */}
+                <div className="mt-8">
+                  <div className="text-center mb-3" style={{ opacity: 0.6 }}>
+                    <p className="text-sm" style={{ fontFamily: 'Georgia, serif', color: '#2C2416' }}>
+                      background
+                    </p>
+                  </div>
+                  <div className="flex justify-center gap-2 items-center">
+                    {BACKGROUND_COLORS.map((bg) => (
+                      <button
+                        key={bg.id}
+                        onClick={() => {
+                          setSelectedBg(bg);
+                          setIsCustomBg(false);
+                        }}
+                        className={`w-10 h-10 rounded-full transition-all ${
+                          selectedBg.id === bg.id && !isCustomBg ? 'ring-2 ring-gray-800 ring-offset-2' : ''
+                        }`}
+                        style={{ backgroundColor: bg.color }}
+                      />
+                    ))}
+
+                    {/* Custom background color picker */}
+                    <button
+                      onClick={() => setIsCustomBg(true)}
+                      className={`w-10 h-10 rounded-full transition-all flex items-center justify-center ${
+                        isCustomBg
+                          ? 'ring-2 ring-gray-800 ring-offset-2 bg-gradient-to-br from-pink-300 via-purple-300 to-indigo-300'
+                          : 'bg-gradient-to-br from-pink-200 via-purple-200 to-indigo-200'
+                      }`}
+                      title="Custom background color"
+                    >
+                      <svg className="w-5 h-5 text-white" fill="currentColor" viewBox="0 0 20 20">
+                        <path d="M13.586 3.586a2 2 0 112.828 2.828l-.793.793-2.828-2.828.793-.793zM11.379 5.793L3 14.172V17h2.828l8.38-8.379-2.83-2.828z" />
+                      </svg>
+                    </button>
+                  </div>
+
+                  {/* Custom background color input */}
+                  {isCustomBg && (
+                    <div className="mt-4 flex justify-center gap-2 items-center">
+                      <input
+                        type="color"
+                        value={customBgColor}
+                        onChange={(e) => setCustomBgColor(e.target.value)}
+                        className="w-12 h-8 rounded border border-gray-300 cursor-pointer"
+                      />
+                      <input
+                        type="text"
+                        value={customBgColor}
+                        onChange={(e) => setCustomBgColor(e.target.value)}
+                        className="px-3 py-1 text-sm rounded border border-gray-300 font-mono w-32"
+                        placeholder="#F5F1E8"
+                      />
+                    </div>
+                  )}
+                </div>
+              </Cassette>
             </div>
 
             {/* Customization - right side, scrollable */}
@@ -784,17 +1295,97 @@ const MixTape = () => {
                 <h3 className="text-sm font-semibold mb-4 text-gray-700" style={{ fontFamily: 'Georgia, serif' }}>
                   Track list ({playlistData?.tracks.length} songs)
                 </h3>
-                <div className="space-y-2 max-h-64 overflow-y-auto">
-                  {playlistData?.tracks.map((track, idx) => (
-                    <div key={idx} className="text-sm text-gray-700 flex items-start gap-2">
-                      <span className="text-gray-400 font-mono text-xs mt-0.5">{String(idx + 1).padStart(2, '0')}</span>
-                      <div>
-                        <div className="font-medium">{track.name}</div>
-                        <div className="text-xs text-gray-500">{track.artist}</div>
-                      </div>
+                {playlistData?.trackCount > playlistData?.importedCount && (
+                  <p className="text-xs text-gray-500 mb-2">
+                    Imported the first {playlistData.importedCount} of {playlistData.trackCount} songs.
+                  </p>
+                )}
+                <p className="text-xs text-gray-500 mb-4">
+                  Check each YouTube match. Tap a thumbnail to preview, or open a track to pick a different version.
+                  Drag the handles (or focus one and use the arrow keys) to change the order.
+                </p>
+                <div className="flex items-center gap-2 mb-4 text-xs text-gray-600">
+                  <span>Tape length</span>
+                  {TAPE_LENGTHS.map(length => (
+                    <button
+                      key={length}
+                      onClick={() => handleTapeLengthChange(length)}
+                      className={`px-2 py-1 rounded border font-mono ${
+                        sideLayout?.tapeLength === length
+                          ? 'border-gray-800 bg-gray-50 text-gray-800'
+                          : 'border-gray-300 hover:border-gray-500'
+                      }`}
+                    >
+                      C{length}
+                    </button>
+                  ))}
+                </div>
+                <div className="space-y-2 max-h-96 overflow-y-auto">
+                  {(sideLayout
+                    ? tapeSidesService.getSides(playlistData.tracks, sideLayout)
+                    : [{ id: null, start: 0, end: playlistData?.tracks.length || 0 }]
+                  ).map(side => (
+                    <div key={side.id || 'all'} className="space-y-2">
+                      {side.id && (
+                        <div className="flex items-center justify-between pt-2 text-xs font-semibold text-gray-600" style={{ fontFamily: 'Georgia, serif' }}>
+                          <span>Side {side.id}</span>
+                          <span className={`font-mono font-normal ${side.overLength ? 'text-red-600' : 'text-gray-400'}`}>
+                            {formatRunningTime(side.durationMs)} / {formatRunningTime(side.capacityMs)}
+                          </span>
+                        </div>
+                      )}
+                      {playlistData.tracks.slice(side.start, side.end).map((track, offset) => (
+                        <TrackMatchRow
+                          key={rowKeys[side.start + offset]}
+                          track={track}
+                          index={side.start + offset}
+                          onMatchChange={handleMatchChange}
+                          onMove={handleMoveTrack}
+                          onDrop={handleDropTrack}
+                          onRemove={handleRemoveTrack}
+                          focusHandle={track === keyboardMovedTrack}
+                        />
+                      ))}
+                      {side.id === 'A' && (
+                        <div className="flex justify-center gap-4 text-[11px] text-gray-500">
+                          <button
+                            onClick={() => handleMoveSideBoundary(-1)}
+                            disabled={side.end === 0}
+                            className="hover:text-gray-800 disabled:opacity-40"
+                          >
+                            ↓ Move last song to Side B
+                          </button>
+                          <button
+                            onClick={() => handleMoveSideBoundary(1)}
+                            disabled={side.end === playlistData.tracks.length}
+                            className="hover:text-gray-800 disabled:opacity-40"
+                          >
+                            ↑ Move first song of Side B here
+                          </button>
+                        </div>
+                      )}
                     </div>
                   ))}
                 </div>
+
+                <AddTrackSearch onAdd={handleAddTrack} />
+
+                {removedTracks.length > 0 && (
+                  <div className="mt-4 pt-4 border-t border-gray-100">
+                    <div className="text-xs text-gray-500 mb-2">Removed</div>
+                    {removedTracks.map(removed => (
+                      <div key={`${removed.track.artist}|${removed.track.name}|${removed.index}`} className="flex items-center gap-2 py-1 text-sm text-gray-400">
+                        <span className="flex-1 truncate line-through">{removed.track.name} · {removed.track.artist}</span>
+                        <button
+                          onClick={() => handleRestoreTrack(removed)}
+                          className="text-xs text-gray-600 underline hover:text-gray-800"
+                        >
+                          Restore
+                        </button>
+                      </div>
+                    ))}
+                  </div>
+                )}
               </div>
 
               {/* Customization options */}
@@ -844,6 +1435,34 @@ const MixTape = () => {
                       style={{ fontFamily: 'Georgia, serif' }}
                     />
                   </div>
+
+                  <div className="grid grid-cols-2 gap-3">
+                    <div>
+                      <label className="block text-sm text-gray-700 mb-2">
+                        Erase after <span className="text-gray-400">(optional)</span>
+                      </label>
+                      <input
+                        type="date"
+                        className="w-full px-3 py-2 rounded border border-gray-300 focus:border-gray-500 focus:outline-none text-sm"
+                        value={expiresOn}
+                        min={toDateInputValue(Date.now())}
+                        onChange={(e) => setExpiresOn(e.target.value)}
+                      />
+                    </div>
+                    <div>
+                      <label className="block text-sm text-gray-700 mb-2">
+                        Max plays <span className="text-gray-400">(optional)</span>
+                      </label>
+                      <input
+                        type="number"
+                        min="1"
+                        className="w-full px-3 py-2 rounded border border-gray-300 focus:border-gray-500 focus:outline-none text-sm"
+                        value={maxPlays}
+                        onChange={(e) => setMaxPlays(e.target.value)}
+                        placeholder="Unlimited"
+                      />
+                    </div>
+                  </div>
                 </div>
               </div>
 
@@ -975,13 +1594,28 @@ const MixTape = () => {
                 </div>
               </div>
 
+              {error && (
+                <p className="text-red-600 text-sm">{error}</p>
+              )}
+
               <button
-                onClick={handleCreateMixtape}
-                className="w-full bg-warmblack text-white py-4 rounded hover:bg-opacity-90 transition-all font-semibold"
+                onClick={isEditing ? handleSaveMixtape : handleCreateMixtape}
+                disabled={loading || !playlistData?.tracks.length}
+                className="w-full bg-warmblack text-white py-4 rounded hover:bg-opacity-90 disabled:opacity-50 transition-all font-semibold"
                 style={{ backgroundColor: '#2C2416', fontFamily: 'Georgia, serif' }}
               >
-                Create mixtape
+                {isEditing ? (loading ? 'Saving...' : 'Save changes') : 'Create mixtape'}
               </button>
+
+              {isEditing && (
+                <button
+                  onClick={handleEraseMixtape}
+                  disabled={loading}
+                  className="w-full text-sm text-red-600 hover:text-red-800 disabled:opacity-50"
+                >
+                  Erase this mixtape
+                </button>
+              )}
             </div>
           </div>
         </div>
@@ -992,6 +1626,11 @@ const MixTape = () => {
   // Player Page
   if (view === 'player' && playlistData) {
     const currentTrack = playlistData.tracks[currentTrackIndex];
+    const PlayModeIcon = PLAY_MODE_ICONS[playMode];
+    const currentSide = tapeSidesService.getSide(currentTrackIndex, sideLayout);
+    const tapePosition = tapeSidesService.getTapePosition(
+      playlistData.tracks, sideLayout, currentTrackIndex, playback.currentTime * 1000
+    );
 
     return (
       <div className="min-h-screen bg-warmwhite p-6" style={{ backgroundColor: '#F5F1E8' }}>
@@ -1016,12 +1655,79 @@ const MixTape = () => {
               message={personalMessage}
               sender={senderName}
               font={selectedFont}
+              side={currentSide}
               size="large"
-            />
+              isPlaying={isPlaying && !isBuffering}
+              progress={tapePosition.progress}
+              counter={{
+                track: String(currentTrackIndex + 1).padStart(2, '0'),
+                elapsed: formatRunningTime(tapePosition.elapsedMs),
+                remaining: `-${formatRunningTime(Math.max(0, tapePosition.totalMs - tapePosition.elapsedMs))}`,
+              }}
+            >
+              {/* Deck controls - the cassette is the player in cassette mode */}
+              {cassetteMode && (
+                <div className="mt-6">
+                  <div className="flex items-center justify-center gap-2">
+                    {[
+                      { label: 'Previous', onClick: handleSkipBack, Icon: SkipBack },
+                      { label: isPlaying ? 'Pause' : 'Play', onClick: handlePlayPause, Icon: isPlaying ? Pause : Play },
+                      { label: 'Next', onClick: handleSkipForward, Icon: SkipForward },
+                    ].map(({ label, onClick, Icon }) => (
+                      <button
+                        key={label}
+                        onClick={onClick}
+                        className="w-14 h-10 rounded-sm bg-gray-800 text-white flex items-center justify-center shadow-md hover:bg-gray-700 active:translate-y-0.5 active:shadow-sm transition-all"
+                        title={label}
+                        aria-label={label}
+                      >
+                        <Icon className="w-4 h-4" />
+                      </button>
+                    ))}
+                    <div className="ml-4">
+                      <VolumeKnob value={volume} onChange={handleVolumeChange} />
+                    </div>
+                  </div>
+                  <div className="h-5 mt-2 flex items-center justify-center gap-1 text-xs text-gray-600" aria-live="polite">
+                    {isBuffering && (
+                      <>
+                        <Loader2 className="w-3 h-3 animate-spin" />
+                        Loading tape...
+                      </>
+                    )}
+                  </div>
+                </div>
+              )}
+            </Cassette>
 
-            {/* YouTube player - visible as per PRD requirement */}
-            <div className="mt-8">
-              <div className="bg-black rounded-lg overflow-hidden shadow-lg mx-auto" style={{ maxWidth: '640px' }}>
+            {/* YouTube player - always visible as per PRD requirement. Cassette mode moves it
+                into a corner mini-player; YouTube's terms need at least 200x200, so collapsing
+                shrinks it to that rather than hiding it. */}
+            <div
+              className={cassetteMode
+                ? 'fixed bottom-4 right-4 z-30 bg-black rounded-lg overflow-hidden shadow-2xl'
+                : 'mt-8'}
+            >
+              {cassetteMode && (
+                <div className="flex items-center justify-between px-2 py-1 text-xs text-gray-300">
+                  <span>Video</span>
+                  <button
+                    onClick={() => setMiniPlayerCollapsed(!miniPlayerCollapsed)}
+                    className="p-1 rounded hover:text-white"
+                    title={miniPlayerCollapsed ? 'Expand video' : 'Shrink video'}
+                  >
+                    {miniPlayerCollapsed ? <Maximize2 className="w-3 h-3" /> : <Minimize2 className="w-3 h-3" />}
+                  </button>
+                </div>
+              )}
+              <div
+                className={`bg-black overflow-hidden mx-auto ${
+                  cassetteMode
+                    ? `[&>iframe]:w-full [&>iframe]:h-full ${miniPlayerCollapsed ? 'w-[200px] h-[200px]' : 'w-[356px] h-[200px]'}`
+                    : 'rounded-lg shadow-lg'
+                }`}
+                style={cassetteMode ? undefined : { maxWidth: '640px' }}
+              >
                 <div id="youtube-player"></div>
               </div>
             </div>
@@ -1032,8 +1738,28 @@ const MixTape = () => {
               <div className="text-lg font-semibold text-gray-800">{currentTrack.name}</div>
               <div className="text-sm text-gray-600">{currentTrack.artist}</div>
               <div className="text-xs text-gray-400 mt-2">
-                {currentTrackIndex + 1} of {playlistData.tracks.length}
+                {currentSide && `Side ${currentSide} · `}{currentTrackIndex + 1} of {playlistData.tracks.length}
+              </div>
+              <div className="mt-4 max-w-md mx-auto flex items-center gap-3 text-xs text-gray-500 font-mono">
+                <span className="w-12 text-right">{formatRunningTime(playback.currentTime * 1000)}</span>
+                <input
+                  type="range"
+                  min="0"
+                  max={playback.duration || 0}
+                  step="1"
+                  value={Math.min(playback.currentTime, playback.duration || 0)}
+                  onChange={handleScrub}
+                  disabled={!playback.duration}
+                  className="flex-1 accent-gray-800"
+                  aria-label="Seek"
+                />
+                <span className="w-12">{formatRunningTime(playback.duration * 1000)}</span>
               </div>
+              {sideFinished && (
+                <div className="mt-3 text-sm text-gray-700 italic" style={{ fontFamily: 'Georgia, serif' }}>
+                  That's the end of Side {sideFinished}. Flip the tape to keep listening.
+                </div>
+              )}
               {!currentTrack.youtubeId && (
                 <div className="mt-2 text-xs text-red-500">
                   ⚠ This track could not be matched on YouTube
@@ -1042,27 +1768,60 @@ const MixTape = () => {
             </div>
 
             {/* Controls */}
-            <div className="flex items-center justify-center gap-6 mt-8">
-              <button
-                onClick={handlePrevious}
-                className="p-3 rounded-full hover:bg-gray-100 transition-all"
-              >
-                <SkipBack className="w-5 h-5 text-gray-700" />
-              </button>
+            {!cassetteMode && (
+              <div className="flex items-center justify-center gap-6 mt-8">
+                <button
+                  onClick={handleSkipBack}
+                  className="p-3 rounded-full hover:bg-gray-100 transition-all"
+                >
+                  <SkipBack className="w-5 h-5 text-gray-700" />
+                </button>
 
+                <button
+                  onClick={handlePlayPause}
+                  className="p-5 rounded-full bg-warmblack text-white hover:bg-opacity-90 transition-all"
+                  style={{ backgroundColor: '#2C2416' }}
+                >
+                  {isPlaying ? <Pause className="w-6 h-6" /> : <Play className="w-6 h-6 ml-0.5" />}
+                </button>
+
+                <button
+                  onClick={handleSkipForward}
+                  className="p-3 rounded-full hover:bg-gray-100 transition-all"
+                >
+                  <SkipForward className="w-5 h-5 text-gray-700" />
+                </button>
+              </div>
+            )}
+
+            <div className="flex justify-center gap-6 mt-3">
+              {sideLayout && (
+                <button
+                  onClick={handleFlipTape}
+                  className={`flex items-center gap-1 text-xs transition-all ${
+                    sideFinished ? 'text-gray-900 font-semibold' : 'text-gray-500 hover:text-gray-800'
+                  }`}
+                  title="Flip the tape"
+                >
+                  <FlipHorizontal className="w-3.5 h-3.5" />
+                  Flip to Side {currentSide === 'A' ? 'B' : 'A'}
+                </button>
+              )}
               <button
-                onClick={handlePlayPause}
-                className="p-5 rounded-full bg-warmblack text-white hover:bg-opacity-90 transition-all"
-                style={{ backgroundColor: '#2C2416' }}
+                onClick={handleCyclePlayMode}
+                className="flex items-center gap-1 text-xs text-gray-500 hover:text-gray-800 transition-all"
+                title="Change play mode"
               >
-                {isPlaying ? <Pause className="w-6 h-6" /> : <Play className="w-6 h-6 ml-0.5" />}
+                <PlayModeIcon className="w-3.5 h-3.5" />
+                {PLAY_MODES.find(mode => mode.id === playMode).name}
               </button>
-
               <button
-                onClick={handleNext}
-                className="p-3 rounded-full hover:bg-gray-100 transition-all"
+                onClick={handleToggleCassetteMode}
+                className="flex items-center gap-1 text-xs text-gray-500 hover:text-gray-800 transition-all"
+                title={cassetteMode ? 'Show the video player' : 'Play from the cassette with the video minimized'}
               >
-                <SkipForward className="w-5 h-5 text-gray-700" />
+                {cassetteMode ? <Video className="w-3.5 h-3.5" /> : <CassetteTape className="w-3.5 h-3.5" />}
+                {cassetteMode ? 'Show video' : 'Cassette mode'}
               </button>
             </div>
           </div>
@@ -1074,32 +1833,43 @@ const MixTape = () => {
             </h3>
             <div className="space-y-1 max-h-80 overflow-y-auto">
               {playlistData.tracks.map((track, idx) => (
-                <button
-                  key={idx}
-                  onClick={() => setCurrentTrackIndex(idx)}
-                  disabled={!track.youtubeId}
-                  className={`w-full text-left p-3 rounded transition-all ${
-                    idx === currentTrackIndex
-                      ? 'bg-gray-100'
-                      : track.youtubeId
-                      ? 'hover:bg-gray-50'
-                      : 'opacity-50 cursor-not-allowed'
-                  }`}
-                >
-                  <div className="flex items-start gap-3">
-                    <span className="text-gray-400 font-mono text-xs mt-0.5">{String(idx + 1).padStart(2, '0')}</span>
-                    <div className="flex-1">
-                      <div className="text-sm font-medium text-gray-800">{track.name}</div>
-                      <div className="text-xs text-gray-500">{track.artist}</div>
-                      {!track.youtubeId && (
-                        <div className="text-xs text-red-500 mt-1">Unavailable</div>
+                <React.Fragment key={idx}>
+                  {sideLayout && (idx === 0 || idx === sideLayout.sideBStart) && (
+                    <div className="pt-2 pb-1 text-xs font-semibold text-gray-500" style={{ fontFamily: 'Georgia, serif' }}>
+                      Side {tapeSidesService.getSide(idx, sideLayout)}
+                    </div>
+                  )}
+                  <button
+                    onClick={() => {
+                      if (idx !== currentTrackIndex) recordSkip();
+                      setSideFinished(null);
+                      setCurrentTrackIndex(idx);
+                    }}
+                    disabled={!track.youtubeId}
+                    className={`w-full text-left p-3 rounded transition-all ${
+                      idx === currentTrackIndex
+                        ? 'bg-gray-100'
+                        : track.youtubeId
+                        ? 'hover:bg-gray-50'
+                        : 'opacity-50 cursor-not-allowed'
+                    }`}
+                  >
+                    <div className="flex items-start gap-3">
+                      <span className="text-gray-400 font-mono text-xs mt-0.5">{String(idx + 1).padStart(2, '0')}</span>
+                      <div className="flex-1">
+                        <div className="text-sm font-medium text-gray-800">{track.name}</div>
+                        <div className="text-xs text-gray-500">{track.artist}</div>
+                        {!track.youtubeId && (
+                          <div className="text-xs text-red-500 mt-1">Unavailable</div>
+                        )}
+                        <MatchConfidenceBadge track={track} />
+                      </div>
+                      {idx === currentTrackIndex && isPlaying && (
+                        <Music className="w-4 h-4 text-gray-400 animate-pulse" />
                       )}
                     </div>
-                    {idx === currentTrackIndex && isPlaying && (
-                      <Music className="w-4 h-4 text-gray-400 animate-pulse" />
-                    )}
-                  </div>
-                </button>
+                  </button>
+                </React.Fragment>
               ))}
             </div>
           </div>
@@ -1122,8 +1892,64 @@ const MixTape = () => {
               {copied ? <Check className="w-4 h-4" /> : <Copy className="w-4 h-4" />}
               {copied ? 'Copied!' : 'Copy link'}
             </button>
+
+            <div className="relative">
+              <button
+                onClick={() => setShowDownloadMenu(!showDownloadMenu)}
+                className="h-full bg-white border border-gray-300 text-gray-700 py-3 px-6 rounded hover:bg-gray-50 transition-all flex items-center justify-center gap-2"
+                title="Download tracklist"
+              >
+                <Download className="w-4 h-4" />
+                Tracklist
+              </button>
+
+              {showDownloadMenu && (
+                <div className="absolute right-0 bottom-full mb-2 w-48 bg-white border border-gray-200 rounded shadow-lg py-1 z-10">
+                  <div className="px-4 py-2 text-xs text-gray-500">Download tracklist as</div>
+                  {EXPORT_FORMATS.map((format) => (
+                    <button
+                      key={format.id}
+                      onClick={() => handleDownloadTracklist(format.id)}
+                      className="w-full text-left px-4 py-2 text-sm text-gray-700 hover:bg-gray-50"
+                    >
+                      {format.name} <span className="text-gray-400">.{format.extension}</span>
+                    </button>
+                  ))}
+                </div>
+              )}
+            </div>
           </div>
 
+          {/* Owner-only edit link */}
+          {editToken && (
+            <div className="mt-4 p-4 rounded border border-dashed border-gray-300 text-sm text-gray-600 flex items-center gap-3">
+              <Pencil className="w-4 h-4 flex-shrink-0" />
+              <span className="flex-1">
+                Only you can see this. Keep the edit link private — anyone with it can change this mixtape.
+              </span>
+              <button
+                onClick={() => navigate(`/mixtape/${mixtapeId}/edit?token=${encodeURIComponent(editToken)}`)}
+                className="underline hover:text-gray-800"
+              >
+                Edit
+              </button>
+              <button
+                onClick={() => navigate(`/mixtape/${mixtapeId}/stats?token=${encodeURIComponent(editToken)}`)}
+                className="flex items-center gap-1 underline hover:text-gray-800"
+              >
+                <BarChart2 className="w-3 h-3" />
+                Stats
+              </button>
+              <button onClick={copyEditLink} className="underline hover:text-gray-800 whitespace-nowrap">
+                {editLinkCopied ? 'Copied!' : 'Copy edit link'}
+              </button>
+            </div>
+          )}
+
+          {error && (
+            <p className="text-red-600 text-sm mt-4 text-center">{error}</p>
+          )}
+
           <div className="text-center mt-8">
             <a
               href={window.location.origin}
@@ -1139,21 +1965,38 @@ const MixTape = () => {
     );
   }
 
-  return null;
-};
-
-// Add animations
-const style = document.createElement('style');
-style.textContent = `
-  @keyframes spin-slow {
-    from { transform: rotate(0deg); }
-    to { transform: rotate(360deg); }
+  // Erased Page - deleted by its creator, expired or played out
+  if (view === 'erased') {
+    return (
+      <div className="min-h-screen bg-warmwhite p-6" style={{ backgroundColor: '#F5F1E8' }}>
+        <div className="max-w-md mx-auto pt-24 pb-20 text-center">
+          <Music className="w-10 h-10 mx-auto mb-6 text-gray-400" />
+          <h1 className="text-3xl mb-3" style={{ fontFamily: 'Georgia, serif', color: '#2C2416' }}>
+            This tape has been erased
+          </h1>
+          <p className="text-gray-600 italic mb-10" style={{ fontFamily: 'Georgia, serif' }}>
+            {ERASED_MESSAGES[erasedReason] || ERASED_MESSAGES.deleted}
+          </p>
+          {editToken && (
+            <button
+              onClick={() => navigate(`/mixtape/${mixtapeId}/edit?token=${encodeURIComponent(editToken)}`)}
+              className="block mx-auto mb-4 px-4 py-2 rounded border border-gray-300 text-sm text-gray-700 hover:bg-white"
+            >
+              You made this tape - edit it to give it more time or plays
+            </button>
+          )}
+          <button
+            onClick={() => navigate('/')}
+            className="text-sm text-gray-600 hover:text-gray-800"
+          >
+            Make your own mixtape →
+          </button>
+        </div>
+      </div>
+    );
   }
 
-  .animate-spin-slow {
-    animation: spin-slow 4s linear infinite;
-  }
-`;
-document.head.appendChild(style);
+  return null;
+};
 
 export default MixTape;
@@ -0,0 +1,171 @@
+import React, { useState, useEffect } from 'react';
+import { useParams, useNavigate, useSearchParams } from 'react-router-dom';
+import { ArrowLeft } from 'lucide-react';
+import supabaseService from '../services/supabase';
+import analyticsService from '../services/analytics';
+
+// Format seconds as m:ss
+const formatSeconds = (seconds) => (
+  `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`
+);
+
+/**
+ * Creator-only listening stats for a mixtape: totals, which songs were skipped or
+ * replayed, and listening sessions per day. Needs the mixtape's edit token.
+ */
+const MixtapeStats = () => {
+  const { id: mixtapeId } = useParams();
+  const navigate = useNavigate();
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token') || supabaseService.getSavedEditToken(mixtapeId);
+
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [title, setTitle] = useState('');
+  const [totals, setTotals] = useState(null);
+  const [summary, setSummary] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    const loadStats = async () => {
+      if (!token) {
+        setError('Open this page from your edit link to see the stats.');
+        setLoading(false);
+        return;
+      }
+
+      // Loading with the token also works once the tape has expired or played out
+      const [{ mixtape, erasedReason }, { events, error: eventsError }] = await Promise.all([
+        supabaseService.loadMixtape(mixtapeId, token),
+        analyticsService.getEvents(mixtapeId, token),
+      ]);
+
+      if (cancelled) return;
+
+      if (eventsError || !mixtape) {
+        setError(erasedReason
+          ? 'This mixtape has been erased, so there are no stats to show.'
+          : eventsError || 'This mixtape does not exist.');
+        setLoading(false);
+        return;
+      }
+
+      setTitle(mixtape.mixtapeTitle);
+      setTotals({ viewCount: mixtape.viewCount, playCount: mixtape.playCount });
+      setSummary(analyticsService.summarize(events, mixtape.tracks));
+      setLoading(false);
+    };
+
+    loadStats();
+
+    return () => {
+      cancelled = true;
+    };
+  }, [mixtapeId, token]);
+
+  const maxSessions = summary ? Math.max(1, ...summary.sessions.map(s => s.count)) : 1;
+
+  return (
+    <div className="min-h-screen bg-warmwhite p-6" style={{ backgroundColor: '#F5F1E8' }}>
+      <div className="max-w-3xl mx-auto pt-8 pb-20">
+        <button
+          onClick={() => navigate(`/mixtape/${mixtapeId}`)}
+          className="flex items-center gap-2 text-sm text-gray-600 hover:text-gray-800 mb-8"
+        >
+          <ArrowLeft className="w-4 h-4" />
+          Back to mixtape
+        </button>
+
+        <h1 className="text-3xl mb-2" style={{ fontFamily: 'Georgia, serif', color: '#2C2416' }}>
+          Listening stats
+        </h1>
+        {title && <p className="text-gray-600 mb-8" style={{ fontFamily: 'Courier, monospace' }}>{title}</p>}
+
+        {loading && <p className="text-sm text-gray-500">Loading stats...</p>}
+        {error && <p className="text-red-600 text-sm">{error}</p>}
+
+        {summary && (
+          <div className="space-y-6">
+            <div className="grid grid-cols-3 gap-4">
+              {[
+                ['Views', totals?.viewCount || 0],
+                ['Plays', totals?.playCount || 0],
+                ['Listening sessions', summary.totalSessions],
+              ].map(([label, value]) => (
+                <div key={label} className="bg-white rounded-lg shadow-sm border border-gray-200 p-4 text-center">
+                  <div className="text-2xl text-gray-800" style={{ fontFamily: 'Georgia, serif' }}>{value}</div>
+                  <div className="text-xs text-gray-500 mt-1">{label}</div>
+                </div>
+              ))}
+            </div>
+
+            <div className="bg-white rounded-lg shadow-sm border border-gray-200 p-6">
+              <h3 className="text-sm font-semibold mb-4 text-gray-700" style={{ fontFamily: 'Georgia, serif' }}>
+                Songs
+              </h3>
+              <table className="w-full text-sm text-gray-700">
+                <thead>
+                  <tr className="text-xs text-gray-500 text-left">
+                    <th className="font-normal pb-2 w-8"></th>
+                    <th className="font-normal pb-2">Song</th>
+                    <th className="font-normal pb-2 text-right">Plays</th>
+                    <th className="font-normal pb-2 text-right">Finished</th>
+                    <th className="font-normal pb-2 text-right">Skipped</th>
+                    <th className="font-normal pb-2 text-right">Replayed</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {summary.tracks.map(track => (
+                    <tr key={track.index} className="border-t border-gray-100">
+                      <td className="py-2 text-gray-400 font-mono text-xs">{String(track.index + 1).padStart(2, '0')}</td>
+                      <td className="py-2">
+                        <div className="font-medium">{track.name}</div>
+                        <div className="text-xs text-gray-500">{track.artist}</div>
+                      </td>
+                      <td className="py-2 text-right">{track.plays}</td>
+                      <td className="py-2 text-right">{track.completions}</td>
+                      <td className="py-2 text-right">
+                        {track.skips}
+                        {track.averageSkipSeconds !== null && (
+                          <div className="text-[11px] text-gray-400">avg at {formatSeconds(track.averageSkipSeconds)}</div>
+                        )}
+                      </td>
+                      <td className="py-2 text-right">{track.replays}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+
+            <div className="bg-white rounded-lg shadow-sm border border-gray-200 p-6">
+              <h3 className="text-sm font-semibold mb-4 text-gray-700" style={{ fontFamily: 'Georgia, serif' }}>
+                Listening sessions over time
+              </h3>
+              {summary.sessions.length === 0 ? (
+                <p className="text-sm text-gray-500">Nobody has listened yet.</p>
+              ) : (
+                <div className="space-y-1">
+                  {summary.sessions.map(({ day, count }) => (
+                    <div key={day} className="flex items-center gap-3 text-xs text-gray-600">
+                      <span className="w-20 font-mono">{day}</span>
+                      <div className="flex-1">
+                        <div
+                          className="h-3 rounded"
+                          style={{ width: `${(count / maxSessions) * 100}%`, backgroundColor: '#2C2416' }}
+                        />
+                      </div>
+                      <span className="w-6 text-right">{count}</span>
+                    </div>
+                  ))}
+                </div>
+              )}
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default MixtapeStats;
@@ -0,0 +1,90 @@
+import React, { useState, useEffect } from 'react';
+import { Heart, Lock, Users, LogOut } from 'lucide-react';
+import spotifyService from '../services/spotify';
+
+/**
+ * Lists a signed-in creator's Spotify playlists (plus Liked Songs) on the landing view
+ * so they can import private and collaborative playlists without pasting a link
+ */
+const SpotifyPlaylistPicker = ({ onSelect, onSignOut, disabled = false }) => {
+  const [playlists, setPlaylists] = useState([]);
+  const [loadingPlaylists, setLoadingPlaylists] = useState(true);
+  const [pickerError, setPickerError] = useState('');
+
+  useEffect(() => {
+    let cancelled = false;
+
+    spotifyService.fetchUserPlaylists()
+      .then(result => {
+        if (!cancelled) setPlaylists(result);
+      })
+      .catch(err => {
+        if (!cancelled) setPickerError(err.message);
+      })
+      .finally(() => {
+        if (!cancelled) setLoadingPlaylists(false);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  const rowClass = 'w-full flex items-center gap-3 px-2 py-2 rounded text-left hover:bg-gray-50 disabled:opacity-50 disabled:cursor-not-allowed';
+
+  return (
+    <div className="mb-4">
+      <div className="flex items-center justify-between mb-2">
+        <span className="text-sm text-gray-700" style={{ fontFamily: 'Georgia, serif' }}>
+          Or pick one of your playlists
+        </span>
+        <button
+          onClick={onSignOut}
+          className="flex items-center gap-1 text-xs text-gray-500 hover:text-gray-700"
+        >
+          <LogOut className="w-3 h-3" />
+          Sign out
+        </button>
+      </div>
+
+      <div className="max-h-64 overflow-y-auto border border-gray-200 rounded p-1">
+        <button onClick={() => onSelect({ type: 'liked' })} disabled={disabled} className={rowClass}>
+          <div className="w-10 h-10 rounded bg-gray-100 flex items-center justify-center flex-shrink-0">
+            <Heart className="w-4 h-4 text-gray-600" />
+          </div>
+          <span className="text-sm text-gray-800">Liked Songs</span>
+        </button>
+
+        {loadingPlaylists && <p className="text-xs text-gray-500 px-2 py-2">Loading your playlists...</p>}
+        {pickerError && <p className="text-xs text-red-600 px-2 py-2">{pickerError}</p>}
+
+        {playlists.map(playlist => (
+          <button
+            key={playlist.id}
+            onClick={() => onSelect({ type: 'playlist', id: playlist.id })}
+            disabled={disabled}
+            className={rowClass}
+          >
+            {playlist.image ? (
+              <img src={playlist.image} alt="" className="w-10 h-10 rounded object-cover flex-shrink-0" />
+            ) : (
+              <div className="w-10 h-10 rounded bg-gray-100 flex-shrink-0" />
+            )}
+            <div className="min-w-0">
+              <div className="text-sm text-gray-800 truncate">{playlist.name}</div>
+              <div className="flex items-center gap-1 text-[11px] text-gray-400">
+                {playlist.isPrivate && <Lock className="w-3 h-3" />}
+                {playlist.collaborative && <Users className="w-3 h-3" />}
+                <span className="truncate">
+                  {playlist.trackCount !== null && `${playlist.trackCount} songs · `}{playlist.owner}
+                </span>
+              </div>
+            </div>
+          </button>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default SpotifyPlaylistPicker;
@@ -0,0 +1,269 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { Play, X, ChevronDown, ChevronUp, RefreshCw, Check, GripVertical, Trash2 } from 'lucide-react';
+import youtubeService from '../services/youtube';
+import MatchConfidenceBadge from './MatchConfidenceBadge';
+
+// Format milliseconds as m:ss
+const formatDuration = (ms) => {
+  if (!ms) return '';
+  const totalSeconds = Math.round(ms / 1000);
+  return `${Math.floor(totalSeconds / 60)}:${String(totalSeconds % 60).padStart(2, '0')}`;
+};
+
+/**
+ * One track in the create view's track list, showing the matched YouTube video
+ * and letting the creator preview it, pick another candidate or paste a URL
+ *
+ * The grip handle reorders the track: drag it onto another track, or focus it and use
+ * the arrow keys. focusHandle puts focus back on the handle after a keyboard move.
+ */
+const TrackMatchRow = ({ track, index, onMatchChange, onMove, onDrop, onRemove, focusHandle = false }) => {
+  const [expanded, setExpanded] = useState(false);
+  const [previewId, setPreviewId] = useState(null);
+  const [candidates, setCandidates] = useState(track.youtubeCandidates || []);
+  const [searching, setSearching] = useState(false);
+  const [videoUrl, setVideoUrl] = useState('');
+  const [rowError, setRowError] = useState('');
+  const [dragOver, setDragOver] = useState(false);
+  const rowRef = useRef(null);
+  const handleRef = useRef(null);
+
+  useEffect(() => {
+    if (focusHandle) {
+      handleRef.current?.focus();
+    }
+  }, [focusHandle, index]);
+
+  const handleDragStart = (e) => {
+    e.dataTransfer.effectAllowed = 'move';
+    e.dataTransfer.setData('text/plain', String(index));
+    if (rowRef.current) {
+      e.dataTransfer.setDragImage(rowRef.current, 0, 0);
+    }
+  };
+
+  const handleDrop = (e) => {
+    e.preventDefault();
+    setDragOver(false);
+    const from = parseInt(e.dataTransfer.getData('text/plain'), 10);
+    if (!Number.isNaN(from) && from !== index) {
+      onDrop(from, index);
+    }
+  };
+
+  const handleHandleKeyDown = (e) => {
+    if (e.key === 'ArrowUp' || e.key === 'ArrowDown') {
+      e.preventDefault();
+      onMove(index, e.key === 'ArrowUp' ? -1 : 1);
+    }
+  };
+
+  const chooseMatch = (match) => {
+    const updatedTrack = youtubeService.applyMatch(track, match, { manualMatch: true, youtubeConfidence: 1 });
+    onMatchChange(index, updatedTrack);
+    setPreviewId(null);
+
+    // Reuse the choice if this song is imported again in this session
+    youtubeService.saveMatchOverride(track.name, track.artist, track.duration_ms, match, track.isrc);
+  };
+
+  const handleFindAlternatives = async () => {
+    setSearching(true);
+    setRowError('');
+
+    const result = await youtubeService.searchTrack(track.name, track.artist, track.duration_ms, {
+      useCache: false,
+      isrc: track.isrc || null
+    });
+
+    if (result?.candidates?.length) {
+      setCandidates(result.candidates);
+    } else {
+      setRowError('No other versions found. Try pasting a YouTube link instead.');
+    }
+    setSearching(false);
+  };
+
+  const handlePasteUrl = async () => {
+    const videoId = youtubeService.extractVideoId(videoUrl);
+
+    if (!videoId) {
+      setRowError('That does not look like a YouTube link.');
+      return;
+    }
+
+    setSearching(true);
+    setRowError('');
+
+    try {
+      const match = await youtubeService.getVideoDetails(videoId);
+      chooseMatch(match);
+      setVideoUrl('');
+    } catch (err) {
+      setRowError(err.message);
+    }
+    setSearching(false);
+  };
+
+  return (
+    <div
+      ref={rowRef}
+      onDragOver={(e) => {
+        e.preventDefault();
+        setDragOver(true);
+      }}
+      onDragLeave={() => setDragOver(false)}
+      onDrop={handleDrop}
+      className={`text-sm text-gray-700 border-b border-gray-100 last:border-0 pb-2 bg-white ${
+        dragOver ? 'border-t-2 border-t-gray-800' : ''
+      }`}
+    >
+      <div className="flex items-start gap-2">
+        <button
+          ref={handleRef}
+          draggable
+          onDragStart={handleDragStart}
+          onKeyDown={handleHandleKeyDown}
+          className="-ml-1 p-0.5 rounded text-gray-300 hover:text-gray-600 focus:text-gray-600 cursor-grab"
+          title="Drag to reorder, or use the arrow keys"
+          aria-label={`Move ${track.name}. Use the up and down arrow keys to reorder.`}
+        >
+          <GripVertical className="w-4 h-4" />
+        </button>
+        <span className="text-gray-400 font-mono text-xs mt-0.5">{String(index + 1).padStart(2, '0')}</span>
+        <div className="flex-1 min-w-0">
+          <div className="font-medium">{track.name}</div>
+          <div className="text-xs text-gray-500">{track.artist}</div>
+
+          {track.youtubeId ? (
+            <div className="flex items-center gap-2 mt-2">
+              <button
+                onClick={() => setPreviewId(previewId === track.youtubeId ? null : track.youtubeId)}
+                className="relative flex-shrink-0 w-16 h-9 rounded overflow-hidden bg-gray-200"
+                title="Preview"
+              >
+                {track.youtubeThumbnail && (
+                  <img src={track.youtubeThumbnail} alt="" className="w-full h-full object-cover" />
+                )}
+                <Play className="absolute inset-0 m-auto w-4 h-4 text-white drop-shadow" />
+              </button>
+              <div className="min-w-0">
+                <div className="text-xs text-gray-700 truncate">{track.youtubeTitle || track.youtubeId}</div>
+                <div className="text-[11px] text-gray-400 truncate">
+                  {track.youtubeChannel}
+                  {track.manualMatch && ' · picked by you'}
+                </div>
+                <MatchConfidenceBadge track={track} />
+              </div>
+            </div>
+          ) : (
+            <div className="text-xs text-red-500 mt-1">No YouTube match</div>
+          )}
+        </div>
+
+        <button
+          onClick={() => setExpanded(!expanded)}
+          className="p-1 rounded hover:bg-gray-100 text-gray-500"
+          title="Change match"
+        >
+          {expanded ? <ChevronUp className="w-4 h-4" /> : <ChevronDown className="w-4 h-4" />}
+        </button>
+        <button
+          onClick={() => onRemove(index)}
+          className="p-1 rounded hover:bg-gray-100 text-gray-400 hover:text-gray-600"
+          title="Remove from mixtape"
+        >
+          <Trash2 className="w-4 h-4" />
+        </button>
+      </div>
+
+      {/* Inline preview */}
+      {previewId && (
+        <div className="mt-2 ml-6 relative">
+          <iframe
+            title={`Preview of ${track.name}`}
+            src={`https://www.youtube.com/embed/${previewId}?autoplay=1&modestbranding=1&rel=0`}
+            className="w-full aspect-video rounded"
+            allow="autoplay; encrypted-media"
+            allowFullScreen
+          />
+          <button
+            onClick={() => setPreviewId(null)}
+            className="absolute top-1 right-1 p-1 rounded-full bg-black bg-opacity-60 text-white"
+            title="Close preview"
+          >
+            <X className="w-3 h-3" />
+          </button>
+        </div>
+      )}
+
+      {/* Match picker */}
+      {expanded && (
+        <div className="mt-2 ml-6 space-y-2">
+          {candidates.map((candidate) => (
+            <div key={candidate.videoId} className="flex items-center gap-2">
+              <button
+                onClick={() => setPreviewId(previewId === candidate.videoId ? null : candidate.videoId)}
+                className="relative flex-shrink-0 w-16 h-9 rounded overflow-hidden bg-gray-200"
+                title="Preview"
+              >
+                {candidate.thumbnailUrl && (
+                  <img src={candidate.thumbnailUrl} alt="" className="w-full h-full object-cover" />
+                )}
+                <Play className="absolute inset-0 m-auto w-4 h-4 text-white drop-shadow" />
+              </button>
+              <div className="flex-1 min-w-0">
+                <div className="text-xs text-gray-700 truncate">{candidate.title}</div>
+                <div className="text-[11px] text-gray-400 truncate">
+                  {candidate.channelTitle} {candidate.duration ? `· ${formatDuration(candidate.duration)}` : ''}
+                  {typeof candidate.confidence === 'number' && ` · ${Math.round(candidate.confidence * 100)}% match`}
+                </div>
+              </div>
+              {candidate.videoId === track.youtubeId ? (
+                <Check className="w-4 h-4 text-gray-500" />
+              ) : (
+                <button
+                  onClick={() => chooseMatch(candidate)}
+                  className="text-xs px-2 py-1 rounded border border-gray-300 hover:bg-gray-50"
+                >
+                  Use
+                </button>
+              )}
+            </div>
+          ))}
+
+          <button
+            onClick={handleFindAlternatives}
+            disabled={searching}
+            className="flex items-center gap-1 text-xs text-gray-600 hover:text-gray-800 disabled:opacity-50"
+          >
+            <RefreshCw className={`w-3 h-3 ${searching ? 'animate-spin' : ''}`} />
+            {candidates.length > 0 ? 'Search again' : 'Find other versions'}
+          </button>
+
+          <div className="flex gap-2">
+            <input
+              type="text"
+              value={videoUrl}
+              onChange={(e) => setVideoUrl(e.target.value)}
+              onKeyPress={(e) => e.key === 'Enter' && handlePasteUrl()}
+              placeholder="Or paste a YouTube link"
+              className="flex-1 px-2 py-1 text-xs rounded border border-gray-300 focus:border-gray-500 focus:outline-none font-mono"
+            />
+            <button
+              onClick={handlePasteUrl}
+              disabled={searching || !videoUrl.trim()}
+              className="text-xs px-2 py-1 rounded border border-gray-300 hover:bg-gray-50 disabled:opacity-50"
+            >
+              Use link
+            </button>
+          </div>
+
+          {rowError && <p className="text-xs text-red-600">{rowError}</p>}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default TrackMatchRow;
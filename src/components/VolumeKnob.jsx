@@ -0,0 +1,74 @@
+import React, { useRef } from 'react';
+
+const MIN_ANGLE = -135; // Pointer angle at volume 0
+const MAX_ANGLE = 135; // ...and at 100
+const DRAG_PIXELS_PER_STEP = 2; // Vertical drag distance per volume point
+const KEY_STEP = 5;
+
+const clamp = (value) => Math.max(0, Math.min(100, Math.round(value)));
+
+/**
+ * Rotary volume knob for the cassette deck (0-100)
+ * Drag up/down, scroll, or focus it and use the arrow keys.
+ */
+const VolumeKnob = ({ value, onChange, size = 44 }) => {
+  const dragRef = useRef(null);
+  const angle = MIN_ANGLE + (MAX_ANGLE - MIN_ANGLE) * (value / 100);
+
+  const handlePointerDown = (e) => {
+    e.currentTarget.setPointerCapture(e.pointerId);
+    dragRef.current = { startY: e.clientY, startValue: value };
+  };
+
+  const handlePointerMove = (e) => {
+    if (!dragRef.current) return;
+    const { startY, startValue } = dragRef.current;
+    onChange(clamp(startValue + (startY - e.clientY) / DRAG_PIXELS_PER_STEP));
+  };
+
+  const handlePointerUp = (e) => {
+    e.currentTarget.releasePointerCapture(e.pointerId);
+    dragRef.current = null;
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'ArrowUp' || e.key === 'ArrowRight') {
+      e.preventDefault();
+      onChange(clamp(value + KEY_STEP));
+    } else if (e.key === 'ArrowDown' || e.key === 'ArrowLeft') {
+      e.preventDefault();
+      onChange(clamp(value - KEY_STEP));
+    }
+  };
+
+  return (
+    <div className="flex flex-col items-center gap-1">
+      <div
+        role="slider"
+        tabIndex={0}
+        aria-label="Volume"
+        aria-valuemin={0}
+        aria-valuemax={100}
+        aria-valuenow={value}
+        onPointerDown={handlePointerDown}
+        onPointerMove={handlePointerMove}
+        onPointerUp={handlePointerUp}
+        onWheel={(e) => onChange(clamp(value - Math.sign(e.deltaY) * KEY_STEP))}
+        onKeyDown={handleKeyDown}
+        className="relative rounded-full bg-gray-800 shadow-lg cursor-ns-resize touch-none select-none focus:outline-none focus:ring-2 focus:ring-gray-400"
+        style={{ width: `${size}px`, height: `${size}px`, boxShadow: 'inset 0 -3px 6px rgba(0,0,0,0.4)' }}
+      >
+        {/* Pointer */}
+        <div
+          className="absolute inset-0"
+          style={{ transform: `rotate(${angle}deg)` }}
+        >
+          <div className="absolute left-1/2 top-1 w-1 h-3 -translate-x-1/2 rounded bg-white opacity-80" />
+        </div>
+      </div>
+      <span className="text-[10px] uppercase tracking-wide text-gray-500">Vol {value}</span>
+    </div>
+  );
+};
+
+export default VolumeKnob;
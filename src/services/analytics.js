@@ -0,0 +1,228 @@
+/**
+ * Listening Analytics
+ * Records per-track listening events (play start, completion, skip, position) in the
+ * mixtape_events table and summarizes them for the creator's stats page
+ *
+ * Visitors can only insert events. Reading them goes through the get_mixtape_events
+ * database function, which checks the mixtape's edit token.
+ *
+ * Events are attributed to songs by track key (artist and title), not by position, so
+ * stats stay with the right song when the creator reorders, removes or adds tracks.
+ */
+
+import supabaseService from './supabase';
+
+export const EVENT_TYPES = {
+  PLAY_START: 'play_start',
+  COMPLETE: 'complete',
+  SKIP: 'skip',
+  POSITION: 'position', // Where the listener paused
+};
+
+const SESSION_STORAGE_KEY = 'mixtape.listenSession';
+
+/**
+ * Identity of a song on a tape that survives reordering and editing (unlike its index)
+ */
+export const getTrackKey = (track) => (
+  `${(track.artist || '').trim().toLowerCase()}|${(track.name || '').trim().toLowerCase()}`
+);
+
+/**
+ * Local calendar day (YYYY-MM-DD) of a timestamp
+ */
+const toDay = (timestamp) => new Date(timestamp).toLocaleDateString('en-CA');
+
+class AnalyticsService {
+  constructor() {
+    this.sessionId = null;
+  }
+
+  /**
+   * Random ID for this browser tab's listening session
+   */
+  getSessionId() {
+    if (this.sessionId) return this.sessionId;
+
+    try {
+      this.sessionId = sessionStorage.getItem(SESSION_STORAGE_KEY);
+    } catch (err) {
+      // Storage unavailable - fall through to a new ID
+    }
+
+    if (!this.sessionId) {
+      this.sessionId = `${Date.now().toString(36)}${Math.random().toString(36).substring(2, 10)}`;
+      try {
+        sessionStorage.setItem(SESSION_STORAGE_KEY, this.sessionId);
+      } catch (err) {
+        // Keep it in memory
+      }
+    }
+
+    return this.sessionId;
+  }
+
+  /**
+   * Insert a listening event (fire and forget)
+   * @param {string} mixtapeId - The mixtape ID
+   * @param {string} eventType - One of EVENT_TYPES
+   * @param {Object} track - The track ({ name, artist })
+   * @param {number} trackIndex - Position of the track in the mixtape
+   * @param {number|null} positionSeconds - Playback position when the event happened
+   */
+  async recordEvent(mixtapeId, eventType, track, trackIndex, positionSeconds = null) {
+    try {
+      const { error } = await supabaseService.client
+        .from('mixtape_events')
+        .insert({
+          mixtape_id: mixtapeId,
+          session_id: this.getSessionId(),
+          event_type: eventType,
+          track_key: getTrackKey(track),
+          track_index: trackIndex,
+          position_seconds: typeof positionSeconds === 'number' ? Math.round(positionSeconds) : null,
+        });
+
+      if (error) {
+        console.warn('Failed to record listening event:', error.message);
+      }
+    } catch (err) {
+      console.warn('Failed to record listening event:', err.message);
+    }
+  }
+
+  trackStarted(mixtapeId, track, trackIndex) {
+    return this.recordEvent(mixtapeId, EVENT_TYPES.PLAY_START, track, trackIndex, 0);
+  }
+
+  trackCompleted(mixtapeId, track, trackIndex, positionSeconds) {
+    return this.recordEvent(mixtapeId, EVENT_TYPES.COMPLETE, track, trackIndex, positionSeconds);
+  }
+
+  trackSkipped(mixtapeId, track, trackIndex, positionSeconds) {
+    return this.recordEvent(mixtapeId, EVENT_TYPES.SKIP, track, trackIndex, positionSeconds);
+  }
+
+  trackPaused(mixtapeId, track, trackIndex, positionSeconds) {
+    return this.recordEvent(mixtapeId, EVENT_TYPES.POSITION, track, trackIndex, positionSeconds);
+  }
+
+  /**
+   * Load a mixtape's listening events (creator only)
+   * @param {string} mixtapeId - The mixtape ID
+   * @param {string} editToken - Token from the edit link
+   * @returns {Object} { events, error }
+   */
+  async getEvents(mixtapeId, editToken) {
+    try {
+      const { data, error } = await supabaseService.client.rpc('get_mixtape_events', {
+        p_id: mixtapeId,
+        p_token: editToken,
+      });
+
+      if (error) {
+        console.error('Error loading listening events:', error);
+        return { events: null, error: error.message };
+      }
+
+      if (data === null) {
+        return { events: null, error: 'This link is not valid for this mixtape.' };
+      }
+
+      return {
+        events: data.map(row => ({
+          sessionId: row.session_id,
+          eventType: row.event_type,
+          trackKey: row.track_key,
+          trackIndex: row.track_index,
+          positionSeconds: row.position_seconds,
+          createdAt: row.created_at,
+        })),
+        error: null,
+      };
+    } catch (err) {
+      console.error('Unexpected error loading listening events:', err);
+      return { events: null, error: err.message };
+    }
+  }
+
+  /**
+   * Per-track and per-day totals for the stats page
+   * A replay is a track started more than once in the same session. Events are matched
+   * to the current tracks by track key; events recorded before track keys existed fall
+   * back to their index. Events for songs no longer on the tape are left out.
+   * @param {Array} events - From getEvents, oldest first
+   * @param {Array} tracks - The mixtape's current tracks
+   * @returns {Object} { tracks: [{ index, name, artist, plays, completions, skips, replays,
+   *   averageSkipSeconds }], sessions: [{ day, count }], totalSessions }
+   */
+  summarize(events, tracks) {
+    const stats = tracks.map((track, index) => ({
+      index,
+      name: track.name,
+      artist: track.artist,
+      plays: 0,
+      completions: 0,
+      skips: 0,
+      replays: 0,
+      averageSkipSeconds: null,
+    }));
+    const skipPositions = stats.map(() => []);
+    const startsPerSessionTrack = new Map();
+    const sessionDays = new Map();
+
+    // A song on the tape twice gets its stats on the first copy
+    const indexByKey = new Map();
+    tracks.forEach((track, index) => {
+      const key = getTrackKey(track);
+      if (!indexByKey.has(key)) indexByKey.set(key, index);
+    });
+
+    events.forEach(event => {
+      if (!sessionDays.has(event.sessionId)) {
+        sessionDays.set(event.sessionId, toDay(event.createdAt));
+      }
+
+      const index = event.trackKey ? indexByKey.get(event.trackKey) : event.trackIndex;
+      const track = stats[index];
+      if (!track) return;
+
+      if (event.eventType === EVENT_TYPES.PLAY_START) {
+        const key = `${event.sessionId}|${index}`;
+        const starts = (startsPerSessionTrack.get(key) || 0) + 1;
+        startsPerSessionTrack.set(key, starts);
+        track.plays++;
+        if (starts > 1) track.replays++;
+      } else if (event.eventType === EVENT_TYPES.COMPLETE) {
+        track.completions++;
+      } else if (event.eventType === EVENT_TYPES.SKIP) {
+        track.skips++;
+        if (typeof event.positionSeconds === 'number') {
+          skipPositions[index].push(event.positionSeconds);
+        }
+      }
+    });
+
+    stats.forEach((track, index) => {
+      const positions = skipPositions[index];
+      if (positions.length) {
+        track.averageSkipSeconds = Math.round(positions.reduce((sum, p) => sum + p, 0) / positions.length);
+      }
+    });
+
+    const sessionsPerDay = {};
+    sessionDays.forEach(day => {
+      sessionsPerDay[day] = (sessionsPerDay[day] || 0) + 1;
+    });
+
+    return {
+      tracks: stats,
+      sessions: Object.keys(sessionsPerDay).sort().map(day => ({ day, count: sessionsPerDay[day] })),
+      totalSessions: sessionDays.size,
+    };
+  }
+}
+
+// Export a singleton instance
+const analyticsService = new AnalyticsService();
+export default analyticsService;
@@ -0,0 +1,75 @@
+import analyticsService from './analytics';
+import supabaseService from './supabase';
+
+jest.mock('./supabase', () => ({
+  __esModule: true,
+  default: { client: {} },
+}));
+
+const event = (sessionId, eventType, trackIndex, createdAt, positionSeconds = null, trackKey = null) => ({
+  sessionId, eventType, trackIndex, createdAt, positionSeconds, trackKey,
+});
+
+test('summarizes plays, skips and replays per track and sessions per day', () => {
+  const tracks = [
+    { name: 'First', artist: 'A' },
+    { name: 'Second', artist: 'B' },
+  ];
+  const events = [
+    event('s1', 'play_start', 0, '2026-02-14T10:00:00'),
+    event('s1', 'complete', 0, '2026-02-14T10:03:00', 180),
+    event('s1', 'play_start', 1, '2026-02-14T10:03:01'),
+    event('s1', 'skip', 1, '2026-02-14T10:03:20', 20),
+    event('s1', 'play_start', 0, '2026-02-14T10:03:21'),
+    event('s2', 'play_start', 1, '2026-02-15T09:00:00'),
+    event('s2', 'skip', 1, '2026-02-15T09:00:40', 40),
+  ];
+
+  const summary = analyticsService.summarize(events, tracks);
+
+  expect(summary.tracks[0]).toMatchObject({ plays: 2, completions: 1, skips: 0, replays: 1 });
+  expect(summary.tracks[1]).toMatchObject({ plays: 2, skips: 2, replays: 0, averageSkipSeconds: 30 });
+  expect(summary.totalSessions).toBe(2);
+  expect(summary.sessions).toEqual([
+    { day: '2026-02-14', count: 1 },
+    { day: '2026-02-15', count: 1 },
+  ]);
+});
+
+test('keeps stats with the right song after the tape is reordered', () => {
+  const events = [
+    event('s1', 'play_start', 0, '2026-02-14T10:00:00', 0, 'a|first'),
+    event('s1', 'skip', 0, '2026-02-14T10:00:10', 10, 'a|first'),
+    event('s1', 'play_start', 1, '2026-02-14T10:00:11', 0, 'b|second'),
+    event('s1', 'play_start', 2, '2026-02-14T10:00:12', 0, 'c|removed'),
+  ];
+
+  // Second moved to the top, Removed taken off the tape, a new song added
+  const tracks = [
+    { name: 'Second', artist: 'B' },
+    { name: 'First', artist: 'A' },
+    { name: 'New', artist: 'D' },
+  ];
+
+  const summary = analyticsService.summarize(events, tracks);
+
+  expect(summary.tracks[0]).toMatchObject({ name: 'Second', plays: 1, skips: 0 });
+  expect(summary.tracks[1]).toMatchObject({ name: 'First', plays: 1, skips: 1, averageSkipSeconds: 10 });
+  expect(summary.tracks[2]).toMatchObject({ name: 'New', plays: 0 });
+});
+
+test('records the track key with each event', async () => {
+  const insert = jest.fn().mockResolvedValue({ error: null });
+  supabaseService.client.from = () => ({ insert });
+
+  await analyticsService.trackSkipped('tape1', { name: ' Dreams', artist: 'Fleetwood Mac' }, 3, 41.6);
+
+  expect(insert).toHaveBeenCalledWith(expect.objectContaining({
+    mixtape_id: 'tape1',
+    event_type: 'skip',
+    track_key: 'fleetwood mac|dreams',
+    track_index: 3,
+    position_seconds: 42,
+  }));
+  delete supabaseService.client.from;
+});
@@ -0,0 +1,169 @@
+/**
+ * Shared fetch wrapper for outbound API calls
+ * Adds per-attempt timeouts, retries with exponential backoff and jitter, honours
+ * 429 Retry-After, and supports cancellation through an AbortSignal.
+ *
+ * Failed responses are returned (not thrown) once retries run out, so callers keep
+ * their own status handling. Network errors and timeouts are thrown.
+ */
+
+const DEFAULT_RETRIES = 3;
+const DEFAULT_TIMEOUT_MS = 15000;
+const BASE_DELAY_MS = 500;
+const MAX_DELAY_MS = 8000;
+const MAX_RETRY_AFTER_MS = 60 * 1000; // Don't wait longer than this for a Retry-After
+const RETRYABLE_STATUSES = [408, 429, 500, 502, 503, 504];
+// Requests that are safe to repeat. Others (POST inserts, PATCH) are only retried on 429,
+// where the server promises it didn't process the request.
+const IDEMPOTENT_METHODS = ['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE'];
+
+/**
+ * Whether an error came from cancelling a request (not from a timeout)
+ */
+export const isAbortError = (error) => error?.name === 'AbortError' && !error.timedOut;
+
+/**
+ * Build the error thrown when a request is cancelled
+ */
+export const abortError = () => {
+  const error = new Error('The operation was cancelled.');
+  error.name = 'AbortError';
+  return error;
+};
+
+/**
+ * Throw if the signal has been aborted
+ */
+export const throwIfAborted = (signal) => {
+  if (signal?.aborted) {
+    throw abortError();
+  }
+};
+
+/**
+ * Wait, waking up early (with an AbortError) if the signal is aborted
+ */
+export const sleep = (ms, signal = null) => new Promise((resolve, reject) => {
+  throwIfAborted(signal);
+
+  const onAbort = () => {
+    clearTimeout(timer);
+    reject(abortError());
+  };
+  const timer = setTimeout(() => {
+    signal?.removeEventListener('abort', onAbort);
+    resolve();
+  }, ms);
+
+  signal?.addEventListener('abort', onAbort, { once: true });
+});
+
+/**
+ * Delay before retry number `attempt` (0-based): exponential backoff with full jitter
+ */
+export const backoffDelay = (attempt, baseDelayMs = BASE_DELAY_MS, maxDelayMs = MAX_DELAY_MS) => (
+  Math.random() * Math.min(maxDelayMs, baseDelayMs * 2 ** attempt)
+);
+
+/**
+ * Parse a Retry-After header (seconds or HTTP date)
+ * @returns {number|null} Milliseconds to wait, or null if absent/invalid
+ */
+export const parseRetryAfter = (value, now = Date.now()) => {
+  if (!value) return null;
+
+  if (/^\d+(\.\d+)?$/.test(value.trim())) {
+    return parseFloat(value) * 1000;
+  }
+
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - now);
+};
+
+/**
+ * Run one fetch attempt with a timeout, also aborting if the caller's signal fires
+ */
+const fetchWithTimeout = async (url, init, timeoutMs, signal) => {
+  const controller = new AbortController();
+  let timedOut = false;
+
+  const onAbort = () => controller.abort();
+  signal?.addEventListener('abort', onAbort, { once: true });
+  const timer = setTimeout(() => {
+    timedOut = true;
+    controller.abort();
+  }, timeoutMs);
+
+  try {
+    return await fetch(url, { ...init, signal: controller.signal });
+  } catch (error) {
+    if (timedOut) {
+      const timeoutError = new Error(`Request timed out after ${Math.round(timeoutMs / 1000)}s`);
+      timeoutError.name = 'AbortError';
+      timeoutError.timedOut = true;
+      throw timeoutError;
+    }
+    if (signal?.aborted) {
+      throw abortError();
+    }
+    throw error;
+  } finally {
+    clearTimeout(timer);
+    signal?.removeEventListener('abort', onAbort);
+  }
+};
+
+/**
+ * fetch() with timeouts, retries and cancellation
+ * @param {string|URL} url - Request URL
+ * @param {Object} init - Standard fetch options; `signal` cancels the whole request including retries
+ * @param {Object} options - Optional settings
+ * @param {number} options.retries - Retries after the first attempt (default 3)
+ * @param {number} options.timeoutMs - Timeout per attempt (default 15s)
+ * @param {number} options.baseDelayMs - First backoff delay before jitter
+ * @returns {Response} The last response received
+ */
+const fetchWithRetry = async (url, init = {}, {
+  retries = DEFAULT_RETRIES,
+  timeoutMs = DEFAULT_TIMEOUT_MS,
+  baseDelayMs = BASE_DELAY_MS
+} = {}) => {
+  const { signal, ...fetchInit } = init;
+  const method = (fetchInit.method || 'GET').toUpperCase();
+  const idempotent = IDEMPOTENT_METHODS.includes(method);
+
+  for (let attempt = 0; ; attempt++) {
+    throwIfAborted(signal);
+    const canRetry = attempt < retries;
+
+    let response;
+    try {
+      response = await fetchWithTimeout(url, fetchInit, timeoutMs, signal);
+    } catch (error) {
+      // Network failures and timeouts: the request may or may not have been processed
+      if (isAbortError(error) || !canRetry || !idempotent) {
+        throw error;
+      }
+      console.warn(`Request failed (${error.message}), retrying...`);
+      await sleep(backoffDelay(attempt, baseDelayMs), signal);
+      continue;
+    }
+
+    const retryable = RETRYABLE_STATUSES.includes(response.status)
+      && (idempotent || response.status === 429);
+    if (!retryable || !canRetry) {
+      return response;
+    }
+
+    const retryAfter = parseRetryAfter(response.headers?.get('Retry-After'));
+    if (retryAfter !== null && retryAfter > MAX_RETRY_AFTER_MS) {
+      return response;
+    }
+
+    const delay = retryAfter ?? backoffDelay(attempt, baseDelayMs);
+    console.warn(`HTTP ${response.status}, retrying in ${Math.round(delay)}ms...`);
+    await sleep(delay, signal);
+  }
+};
+
+export default fetchWithRetry;
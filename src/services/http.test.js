@@ -0,0 +1,55 @@
+import fetchWithRetry, { isAbortError, parseRetryAfter } from './http';
+
+const response = (status, headers = {}) => ({
+  ok: status >= 200 && status < 300,
+  status,
+  headers: { get: (name) => headers[name] ?? null },
+});
+
+afterEach(() => {
+  delete global.fetch;
+});
+
+test('retries transient errors and honours Retry-After', async () => {
+  global.fetch = jest.fn()
+    .mockResolvedValueOnce(response(503))
+    .mockResolvedValueOnce(response(429, { 'Retry-After': '0' }))
+    .mockResolvedValueOnce(response(200));
+
+  const result = await fetchWithRetry('https://example.com', {}, { baseDelayMs: 1 });
+
+  expect(result.status).toBe(200);
+  expect(global.fetch).toHaveBeenCalledTimes(3);
+});
+
+test('returns the last response once retries run out, and does not retry POSTs on 5xx', async () => {
+  global.fetch = jest.fn().mockResolvedValue(response(500));
+
+  expect((await fetchWithRetry('https://example.com', {}, { retries: 2, baseDelayMs: 1 })).status).toBe(500);
+  expect(global.fetch).toHaveBeenCalledTimes(3);
+
+  global.fetch.mockClear();
+  await fetchWithRetry('https://example.com', { method: 'POST' }, { baseDelayMs: 1 });
+  expect(global.fetch).toHaveBeenCalledTimes(1);
+});
+
+test('times out slow requests and can be cancelled', async () => {
+  global.fetch = jest.fn((url, { signal }) => new Promise((resolve, reject) => {
+    signal.addEventListener('abort', () => reject(Object.assign(new Error('aborted'), { name: 'AbortError' })));
+  }));
+
+  const timeout = fetchWithRetry('https://example.com', {}, { retries: 0, timeoutMs: 10 });
+  await expect(timeout).rejects.toMatchObject({ timedOut: true });
+
+  const controller = new AbortController();
+  const cancelled = fetchWithRetry('https://example.com', { signal: controller.signal });
+  controller.abort();
+  const error = await cancelled.catch(err => err);
+  expect(isAbortError(error)).toBe(true);
+});
+
+test('parses Retry-After seconds and dates', () => {
+  expect(parseRetryAfter('2')).toBe(2000);
+  expect(parseRetryAfter('Wed, 21 Oct 2026 07:28:10 GMT', Date.parse('Wed, 21 Oct 2026 07:28:00 GMT'))).toBe(10000);
+  expect(parseRetryAfter(null)).toBeNull();
+});
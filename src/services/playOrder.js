@@ -0,0 +1,140 @@
+/**
+ * Play Order Service
+ * Works out which track plays next for the player's play modes: stop at the end of
+ * the tape (default), repeat the whole tape, repeat one song, or shuffle (which keeps
+ * going round its shuffled order, since the listener may turn it on mid-tape).
+ *
+ * Shuffle order comes from a seed, so the same seed always gives the same order.
+ * That keeps Previous working and lets a shared link reproduce the order.
+ */
+
+export const PLAY_MODES = [
+  { id: 'stop', name: 'Stop at end' },
+  { id: 'repeat', name: 'Repeat tape' },
+  { id: 'repeat-one', name: 'Repeat song' },
+  { id: 'shuffle', name: 'Shuffle' },
+];
+
+export const DEFAULT_PLAY_MODE = 'stop';
+
+/**
+ * 32-bit hash of a seed string
+ */
+const hashSeed = (seed) => {
+  let hash = 5381;
+  for (let i = 0; i < seed.length; i++) {
+    hash = ((hash << 5) + hash + seed.charCodeAt(i)) | 0;
+  }
+  return hash >>> 0;
+};
+
+/**
+ * Small seeded PRNG (mulberry32) returning floats in [0, 1)
+ */
+const seededRandom = (seed) => {
+  let state = hashSeed(seed);
+  return () => {
+    state = (state + 0x6D2B79F5) | 0;
+    let t = Math.imul(state ^ (state >>> 15), 1 | state);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+class PlayOrderService {
+  /**
+   * Whether a mode ID is known (for values read from the URL)
+   */
+  isValidMode(mode) {
+    return PLAY_MODES.some(m => m.id === mode);
+  }
+
+  /**
+   * Mode that follows `mode` when the play-mode button is pressed
+   */
+  nextMode(mode) {
+    const index = PLAY_MODES.findIndex(m => m.id === mode);
+    return PLAY_MODES[(index + 1) % PLAY_MODES.length].id;
+  }
+
+  /**
+   * Random seed for a new shuffle
+   */
+  createSeed() {
+    return Math.random().toString(36).substring(2, 8);
+  }
+
+  /**
+   * Track indexes in play order
+   * @param {number} length - Number of tracks
+   * @param {string} mode - Play mode ID
+   * @param {string} seed - Shuffle seed (shuffle mode only)
+   * @returns {Array<number>}
+   */
+  getOrder(length, mode, seed = '') {
+    const order = Array.from({ length }, (_, i) => i);
+    if (mode !== 'shuffle') return order;
+
+    // Fisher-Yates with the seeded generator
+    const random = seededRandom(seed);
+    for (let i = order.length - 1; i > 0; i--) {
+      const j = Math.floor(random() * (i + 1));
+      [order[i], order[j]] = [order[j], order[i]];
+    }
+    return order;
+  }
+
+  /**
+   * Index of the track to play after the current one
+   * Tracks without a YouTube match are skipped.
+   * @param {Array} tracks - The mixtape's tracks
+   * @param {number} currentIndex - Index of the current track
+   * @param {string} mode - Play mode ID
+   * @param {string} seed - Shuffle seed
+   * @param {Object} options - { ended } - true when the current track finished by itself
+   *   (repeat-one only repeats then; Next and errors still move on)
+   * @returns {number|null} null when the tape has run out
+   */
+  getNextIndex(tracks, currentIndex, mode, seed = '', { ended = false } = {}) {
+    if (ended && mode === 'repeat-one' && tracks[currentIndex]?.youtubeId) {
+      return currentIndex;
+    }
+    return this.step(tracks, currentIndex, mode, seed, 1);
+  }
+
+  /**
+   * Index of the track before the current one in play order
+   * @returns {number|null} null at the start of the tape in stop-at-end mode
+   */
+  getPreviousIndex(tracks, currentIndex, mode, seed = '') {
+    return this.step(tracks, currentIndex, mode, seed, -1);
+  }
+
+  /**
+   * Move through the play order, wrapping around in every mode except stop-at-end
+   */
+  step(tracks, currentIndex, mode, seed, direction) {
+    const order = this.getOrder(tracks.length, mode, seed);
+    const wraps = mode !== 'stop';
+    let position = order.indexOf(currentIndex);
+
+    for (let attempts = 0; attempts < order.length; attempts++) {
+      position += direction;
+
+      if (position < 0 || position >= order.length) {
+        if (!wraps) return null;
+        position = (position + order.length) % order.length;
+      }
+
+      if (tracks[order[position]]?.youtubeId) {
+        return order[position];
+      }
+    }
+
+    return null;
+  }
+}
+
+// Export a singleton instance
+const playOrderService = new PlayOrderService();
+export default playOrderService;
@@ -0,0 +1,36 @@
+import playOrderService from './playOrder';
+
+const tracks = ['a', 'b', 'c', 'd'].map(name => ({ name, youtubeId: `yt-${name}` }));
+
+test('stops at the end of the tape by default and wraps when repeating', () => {
+  expect(playOrderService.getNextIndex(tracks, 1, 'stop')).toBe(2);
+  expect(playOrderService.getNextIndex(tracks, 3, 'stop')).toBeNull();
+  expect(playOrderService.getPreviousIndex(tracks, 0, 'stop')).toBeNull();
+
+  expect(playOrderService.getNextIndex(tracks, 3, 'repeat')).toBe(0);
+  expect(playOrderService.getPreviousIndex(tracks, 0, 'repeat')).toBe(3);
+});
+
+test('repeat-one replays the song only when it ends by itself', () => {
+  expect(playOrderService.getNextIndex(tracks, 2, 'repeat-one', '', { ended: true })).toBe(2);
+  expect(playOrderService.getNextIndex(tracks, 2, 'repeat-one')).toBe(3);
+});
+
+test('skips tracks without a YouTube match', () => {
+  const withGap = tracks.map((track, i) => (i === 1 ? { name: track.name } : track));
+
+  expect(playOrderService.getNextIndex(withGap, 0, 'stop')).toBe(2);
+  expect(playOrderService.getPreviousIndex(withGap, 2, 'stop')).toBe(0);
+});
+
+test('shuffles deterministically from the seed so Previous retraces Next', () => {
+  const order = playOrderService.getOrder(tracks.length, 'shuffle', 'abc123');
+
+  expect(playOrderService.getOrder(tracks.length, 'shuffle', 'abc123')).toEqual(order);
+  expect([...order].sort()).toEqual([0, 1, 2, 3]);
+
+  const next = playOrderService.getNextIndex(tracks, order[1], 'shuffle', 'abc123');
+  expect(next).toBe(order[2]);
+  expect(playOrderService.getPreviousIndex(tracks, next, 'shuffle', 'abc123')).toBe(order[1]);
+  expect(playOrderService.getNextIndex(tracks, order[3], 'shuffle', 'abc123')).toBe(order[0]);
+});
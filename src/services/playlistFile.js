@@ -0,0 +1,405 @@
+/**
+ * Playlist File Service
+ * Parses M3U/M3U8, XSPF and JSPF playlist files client-side into tracks for YouTube matching,
+ * and serializes mixtapes back out as M3U, XSPF, JSPF or CSV tracklists
+ */
+
+import tracklistService from './tracklist';
+
+const SUPPORTED_EXTENSIONS = ['m3u', 'm3u8', 'xspf', 'jspf'];
+
+// Formats a mixtape can be downloaded as
+export const EXPORT_FORMATS = [
+  { id: 'm3u', name: 'M3U', extension: 'm3u8', mimeType: 'audio/x-mpegurl' },
+  { id: 'xspf', name: 'XSPF', extension: 'xspf', mimeType: 'application/xspf+xml' },
+  { id: 'jspf', name: 'JSPF', extension: 'jspf', mimeType: 'application/json' },
+  { id: 'csv', name: 'CSV', extension: 'csv', mimeType: 'text/csv' },
+];
+
+class PlaylistFileService {
+  /**
+   * File extensions accepted by the importer (for <input accept>)
+   */
+  get acceptedExtensions() {
+    return SUPPORTED_EXTENSIONS.map(ext => `.${ext}`).join(',');
+  }
+
+  /**
+   * Read a File (from a picker or drop) and parse it into a mixtape collection
+   * @param {File} file - The playlist file
+   * @returns {Object} { id, name, description, image, tracks, trackCount, sourceType }
+   */
+  async getCollectionFromFile(file) {
+    const text = await file.text();
+    return this.parse(text, file.name);
+  }
+
+  /**
+   * Parse playlist file contents, detecting the format from the file name or contents
+   * @param {string} text - File contents
+   * @param {string} fileName - Original file name
+   * @returns {Object} Collection data
+   */
+  parse(text, fileName = '') {
+    const format = this.detectFormat(text, fileName);
+    const fallbackName = fileName.replace(/\.[^.]+$/, '') || 'My Mixtape';
+
+    let playlist;
+    switch (format) {
+      case 'xspf':
+        playlist = this.parseXSPF(text);
+        break;
+      case 'jspf':
+        playlist = this.parseJSPF(text);
+        break;
+      case 'm3u':
+        playlist = this.parseM3U(text);
+        break;
+      default:
+        throw new Error('Unsupported playlist file. Please use an .m3u, .m3u8, .xspf or .jspf file.');
+    }
+
+    if (playlist.tracks.length === 0) {
+      throw new Error('No tracks found in this playlist file.');
+    }
+
+    return {
+      id: null,
+      name: playlist.name || fallbackName,
+      description: playlist.description || '',
+      image: playlist.image || null,
+      tracks: playlist.tracks,
+      trackCount: playlist.tracks.length,
+      sourceType: format
+    };
+  }
+
+  /**
+   * Work out which format a file is in
+   * @returns {string|null} 'm3u', 'xspf', 'jspf' or null
+   */
+  detectFormat(text, fileName) {
+    const extension = fileName.split('.').pop().toLowerCase();
+
+    if (extension === 'm3u' || extension === 'm3u8') return 'm3u';
+    if (extension === 'xspf') return 'xspf';
+    if (extension === 'jspf') return 'jspf';
+
+    const trimmed = text.trim();
+    if (trimmed.startsWith('#EXTM3U')) return 'm3u';
+    if (trimmed.startsWith('<') && trimmed.includes('<playlist')) return 'xspf';
+    if (trimmed.startsWith('{') && trimmed.includes('"playlist"')) return 'jspf';
+
+    return null;
+  }
+
+  /**
+   * Parse an M3U/M3U8 playlist, using #EXTINF metadata when present and
+   * falling back to the file name of each entry
+   */
+  parseM3U(text) {
+    const lines = text.split(/\r?\n/).map(line => line.trim());
+    const tracks = [];
+    let name = null;
+    let pendingInfo = null;
+
+    for (const line of lines) {
+      if (!line) continue;
+
+      if (line.startsWith('#PLAYLIST:')) {
+        name = line.slice('#PLAYLIST:'.length).trim();
+        continue;
+      }
+
+      // #EXTINF:<seconds> [attributes],<Artist - Title>
+      const info = line.match(/^#EXTINF:\s*(-?\d+(?:\.\d+)?)[^,]*,(.*)$/);
+      if (info) {
+        const seconds = parseFloat(info[1]);
+        pendingInfo = {
+          durationMs: seconds > 0 ? Math.round(seconds * 1000) : null,
+          label: info[2].trim()
+        };
+        continue;
+      }
+
+      if (line.startsWith('#')) continue;
+
+      // Entry line (path or URL)
+      const label = pendingInfo?.label || this.fileNameFromLocation(line);
+      const track = tracklistService.parseLine(label);
+
+      if (track?.name) {
+        tracks.push({
+          ...track,
+          duration_ms: pendingInfo?.durationMs ?? track.duration_ms
+        });
+      }
+      pendingInfo = null;
+    }
+
+    return { name, tracks };
+  }
+
+  /**
+   * Parse an XSPF (XML Shareable Playlist Format) document
+   */
+  parseXSPF(text) {
+    const doc = new DOMParser().parseFromString(text, 'application/xml');
+
+    if (doc.getElementsByTagName('parsererror').length > 0) {
+      throw new Error('This XSPF file could not be read. Please check that it is valid XML.');
+    }
+
+    const playlist = doc.getElementsByTagName('playlist')[0];
+    if (!playlist) {
+      throw new Error('This XSPF file has no <playlist> element.');
+    }
+
+    const childText = (node, tagName) => {
+      const child = Array.from(node.children).find(el => el.localName === tagName);
+      return child?.textContent.trim() || null;
+    };
+
+    const tracks = Array.from(playlist.getElementsByTagName('track')).map(track => {
+      return this.toTrack({
+        title: childText(track, 'title'),
+        creator: childText(track, 'creator'),
+        duration: childText(track, 'duration'),
+        image: childText(track, 'image'),
+        location: childText(track, 'location')
+      });
+    }).filter(Boolean);
+
+    return {
+      name: childText(playlist, 'title'),
+      description: childText(playlist, 'annotation'),
+      image: childText(playlist, 'image'),
+      tracks
+    };
+  }
+
+  /**
+   * Parse a JSPF (JSON Shareable Playlist Format) document
+   */
+  parseJSPF(text) {
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch (error) {
+      throw new Error('This JSPF file could not be read. Please check that it is valid JSON.');
+    }
+
+    const playlist = data.playlist;
+    if (!playlist) {
+      throw new Error('This JSPF file has no "playlist" object.');
+    }
+
+    const tracks = (playlist.track || []).map(track => this.toTrack({
+      title: track.title,
+      creator: track.creator,
+      duration: track.duration,
+      image: track.image,
+      location: Array.isArray(track.location) ? track.location[0] : track.location
+    })).filter(Boolean);
+
+    return {
+      name: playlist.title || null,
+      description: playlist.annotation || null,
+      image: playlist.image || null,
+      tracks
+    };
+  }
+
+  /**
+   * Convert XSPF/JSPF track fields into our track format, falling back to the
+   * location's file name when the title is missing
+   */
+  toTrack({ title, creator, duration, image, location }) {
+    let name = title;
+    let artist = creator || '';
+
+    if (!name && location) {
+      const parsed = tracklistService.parseLine(this.fileNameFromLocation(location));
+      name = parsed?.name;
+      artist = artist || parsed?.artist || '';
+    }
+
+    if (!name) {
+      return null;
+    }
+
+    const durationMs = parseInt(duration, 10);
+
+    return {
+      name: String(name),
+      artist: String(artist),
+      duration_ms: durationMs > 0 ? durationMs : null,
+      albumArt: image || null
+    };
+  }
+
+  /**
+   * Serialize a mixtape's tracks into a downloadable tracklist
+   * @param {Object} playlist - { name, description, tracks } (tracks with youtubeId)
+   * @param {string} format - One of EXPORT_FORMATS ids
+   * @param {Object} meta - Optional { title, creator } overrides
+   * @returns {Object} { content, fileName, mimeType }
+   */
+  serialize(playlist, format, meta = {}) {
+    const exportFormat = EXPORT_FORMATS.find(f => f.id === format);
+    if (!exportFormat) {
+      throw new Error(`Unsupported export format: ${format}`);
+    }
+
+    const title = meta.title || playlist.name || 'Mixtape';
+    const creator = meta.creator || '';
+    const tracks = playlist.tracks || [];
+
+    let content;
+    switch (format) {
+      case 'xspf':
+        content = this.toXSPF(title, creator, tracks);
+        break;
+      case 'jspf':
+        content = this.toJSPF(title, creator, tracks);
+        break;
+      case 'csv':
+        content = this.toCSV(tracks);
+        break;
+      default:
+        content = this.toM3U(title, tracks);
+    }
+
+    const safeTitle = title.replace(/[^a-z0-9 _-]+/gi, '').trim().replace(/\s+/g, '-') || 'mixtape';
+
+    return {
+      content,
+      fileName: `${safeTitle}.${exportFormat.extension}`,
+      mimeType: exportFormat.mimeType
+    };
+  }
+
+  /**
+   * Extended M3U with #EXTINF durations and labels
+   */
+  toM3U(title, tracks) {
+    const lines = ['#EXTM3U', `#PLAYLIST:${title}`];
+
+    tracks.forEach(track => {
+      const seconds = track.duration_ms ? Math.round(track.duration_ms / 1000) : -1;
+      lines.push(`#EXTINF:${seconds},${this.trackLabel(track)}`);
+      lines.push(this.trackLocation(track));
+    });
+
+    return lines.join('\n') + '\n';
+  }
+
+  /**
+   * XSPF (XML Shareable Playlist Format)
+   */
+  toXSPF(title, creator, tracks) {
+    const escape = (value) => String(value)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+
+    const trackXml = tracks.map(track => {
+      const fields = [
+        `      <location>${escape(this.trackLocation(track))}</location>`,
+        `      <title>${escape(track.name)}</title>`,
+        track.artist && `      <creator>${escape(track.artist)}</creator>`,
+        track.duration_ms && `      <duration>${Math.round(track.duration_ms)}</duration>`,
+        track.albumArt && `      <image>${escape(track.albumArt)}</image>`,
+      ].filter(Boolean);
+      return `    <track>\n${fields.join('\n')}\n    </track>`;
+    });
+
+    return [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      '<playlist version="1" xmlns="http://xspf.org/ns/0/">',
+      `  <title>${escape(title)}</title>`,
+      creator && `  <creator>${escape(creator)}</creator>`,
+      '  <trackList>',
+      ...trackXml,
+      '  </trackList>',
+      '</playlist>'
+    ].filter(Boolean).join('\n') + '\n';
+  }
+
+  /**
+   * JSPF (JSON Shareable Playlist Format)
+   */
+  toJSPF(title, creator, tracks) {
+    const playlist = {
+      title,
+      ...(creator && { creator }),
+      track: tracks.map(track => ({
+        title: track.name,
+        ...(track.artist && { creator: track.artist }),
+        ...(track.duration_ms && { duration: Math.round(track.duration_ms) }),
+        ...(track.albumArt && { image: track.albumArt }),
+        location: [this.trackLocation(track)]
+      }))
+    };
+
+    return JSON.stringify({ playlist }, null, 2) + '\n';
+  }
+
+  /**
+   * CSV with the same column names the tracklist importer understands
+   */
+  toCSV(tracks) {
+    const escape = (value) => {
+      const text = value === null || value === undefined ? '' : String(value);
+      return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+
+    const rows = [
+      ['No.', 'Track Name', 'Artist Name(s)', 'Duration (ms)', 'YouTube URL'],
+      ...tracks.map((track, idx) => [
+        idx + 1,
+        track.name,
+        track.artist,
+        track.duration_ms,
+        track.youtubeId ? this.trackLocation(track) : ''
+      ])
+    ];
+
+    return rows.map(row => row.map(escape).join(',')).join('\n') + '\n';
+  }
+
+  /**
+   * "Artist - Title" label for a track
+   */
+  trackLabel(track) {
+    return track.artist ? `${track.artist} - ${track.name}` : track.name;
+  }
+
+  /**
+   * Matched YouTube URL for a track, or a YouTube search link if it was never matched
+   */
+  trackLocation(track) {
+    if (track.youtubeId) {
+      return `https://www.youtube.com/watch?v=${track.youtubeId}`;
+    }
+    return `https://www.youtube.com/results?search_query=${encodeURIComponent(this.trackLabel(track))}`;
+  }
+
+  /**
+   * Turn a path or URL into a readable "Artist - Title" style label
+   */
+  fileNameFromLocation(location) {
+    let fileName = location.split(/[\\/]/).pop() || '';
+    try {
+      fileName = decodeURIComponent(fileName);
+    } catch (error) {
+      // Keep the raw name if it isn't valid URI encoding
+    }
+    return fileName.replace(/\.[a-z0-9]{2,4}$/i, '').replace(/_/g, ' ');
+  }
+}
+
+// Export a singleton instance
+const playlistFileService = new PlaylistFileService();
+export default playlistFileService;
@@ -0,0 +1,88 @@
+import playlistFileService from './playlistFile';
+import tracklistService from './tracklist';
+
+test('parses M3U files using #EXTINF metadata and file names', () => {
+  const m3u = [
+    '#EXTM3U',
+    '#PLAYLIST:Road Trip',
+    '#EXTINF:254,Fleetwood Mac - Dreams',
+    'Music/Fleetwood Mac/Rumours/02 Dreams.mp3',
+    'Music/Neil%20Young%20-%20Harvest%20Moon.flac',
+  ].join('\n');
+
+  const collection = playlistFileService.parse(m3u, 'trip.m3u8');
+
+  expect(collection.name).toBe('Road Trip');
+  expect(collection.sourceType).toBe('m3u');
+  expect(collection.tracks).toEqual([
+    { name: 'Dreams', artist: 'Fleetwood Mac', duration_ms: 254000, albumArt: null },
+    { name: 'Harvest Moon', artist: 'Neil Young', duration_ms: null, albumArt: null },
+  ]);
+});
+
+test('parses XSPF files', () => {
+  const xspf = `<?xml version="1.0" encoding="UTF-8"?>
+    <playlist version="1" xmlns="http://xspf.org/ns/0/">
+      <title>Cozy Evening</title>
+      <trackList>
+        <track>
+          <title>Harvest Moon</title>
+          <creator>Neil Young</creator>
+          <duration>303000</duration>
+        </track>
+      </trackList>
+    </playlist>`;
+
+  const collection = playlistFileService.parse(xspf, 'cozy.xspf');
+
+  expect(collection.name).toBe('Cozy Evening');
+  expect(collection.tracks).toEqual([
+    { name: 'Harvest Moon', artist: 'Neil Young', duration_ms: 303000, albumArt: null },
+  ]);
+});
+
+test('parses JSPF files and detects the format from contents', () => {
+  const jspf = JSON.stringify({
+    playlist: {
+      title: 'Cozy Evening',
+      track: [{ title: 'Dreams', creator: 'Fleetwood Mac', duration: 254000, image: 'https://example.com/a.jpg' }],
+    },
+  });
+
+  const collection = playlistFileService.parse(jspf, 'download');
+
+  expect(collection.sourceType).toBe('jspf');
+  expect(collection.tracks).toEqual([
+    { name: 'Dreams', artist: 'Fleetwood Mac', duration_ms: 254000, albumArt: 'https://example.com/a.jpg' },
+  ]);
+});
+
+test('rejects unsupported files', () => {
+  expect(() => playlistFileService.parse('hello', 'notes.txt')).toThrow(/Unsupported playlist file/);
+});
+
+test('exports tracklists that can be imported again', () => {
+  const playlist = {
+    name: 'Road Trip',
+    tracks: [
+      { name: 'Dreams', artist: 'Fleetwood Mac', duration_ms: 254000, youtubeId: 'abc123' },
+      { name: 'Say "Hello", Friend', artist: 'A & B', duration_ms: 200000, youtubeId: null },
+    ],
+  };
+  const expected = [
+    { name: 'Dreams', artist: 'Fleetwood Mac', duration_ms: 254000, albumArt: null },
+    { name: 'Say "Hello", Friend', artist: 'A & B', duration_ms: 200000, albumArt: null },
+  ];
+
+  ['m3u', 'xspf', 'jspf'].forEach(format => {
+    const { content, fileName } = playlistFileService.serialize(playlist, format);
+    expect(playlistFileService.parse(content, fileName).tracks).toEqual(expected);
+  });
+
+  const csv = playlistFileService.serialize(playlist, 'csv');
+  expect(csv.fileName).toBe('Road-Trip.csv');
+  expect(csv.content).toContain('1,Dreams,Fleetwood Mac,254000,https://www.youtube.com/watch?v=abc123');
+  expect(csv.content).toContain('"Say ""Hello"", Friend"');
+  // Pasting the CSV into the tracklist importer gives the same tracks back
+  expect(tracklistService.parse(csv.content)).toEqual(expected);
+});
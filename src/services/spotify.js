@@ -1,56 +1,283 @@
 /**
  * Spotify API Service
- * Handles authentication and playlist data fetching
+ * Handles playlist data fetching. Requests go through the /api/spotify function,
+ * which holds the client secret and does the Client Credentials token exchange.
+ *
+ * Creators can optionally sign in (Authorization Code + PKCE, no secret needed) to
+ * import their own private/collaborative playlists and Liked Songs; signed-in requests
+ * go straight to the Spotify API with the user's token. Recipients never need an account.
  */
 
+import fetchWithRetry, { isAbortError } from './http';
+
 const SPOTIFY_API_BASE = 'https://api.spotify.com/v1';
 const SPOTIFY_ACCOUNTS_BASE = 'https://accounts.spotify.com';
+const API_BASE = process.env.REACT_APP_API_BASE || '/api'; // Serverless functions (see api/)
+const AUTH_STORAGE_KEY = 'mixtape.spotifyAuth';
+const PKCE_STORAGE_KEY = 'mixtape.spotifyPkce';
+const AUTH_SCOPES = 'playlist-read-private playlist-read-collaborative user-library-read';
+const TOKEN_EXPIRY_MARGIN_MS = 60 * 1000; // Refresh a minute before the token actually expires
+const USER_PLAYLISTS_PAGE_SIZE = 50;
+const LIKED_SONGS_PAGE_SIZE = 50;
+const PLAYLIST_PAGE_SIZE = 100; // Spotify's maximum page size for playlist tracks
+const DEFAULT_MAX_TRACKS = 1000; // Hard cap so huge playlists don't run forever
+const ALBUM_PAGE_SIZE = 50; // Spotify's maximum page size for album tracks
+const TRACK_FIELDS = 'track(name,artists(name),duration_ms,album(images),external_ids(isrc))';
+const TOP_TRACKS_MARKET = 'US';
 
 class SpotifyService {
   constructor() {
-    this.accessToken = null;
-    this.tokenExpiry = null;
+    this.auth = this.loadAuth(); // { accessToken, refreshToken, expiresAt } for a signed-in creator
+  }
+
+  /**
+   * Whether a creator has signed in with Spotify
+   */
+  isLoggedIn() {
+    return !!this.auth;
+  }
+
+  /**
+   * Load the signed-in session saved by an earlier page load
+   */
+  loadAuth() {
+    try {
+      return JSON.parse(localStorage.getItem(AUTH_STORAGE_KEY)) || null;
+    } catch (error) {
+      return null;
+    }
   }
 
   /**
-   * Get Spotify access token using Client Credentials flow
-   * This only works for public data and doesn't require user authorization
+   * Save (or clear, with null) the signed-in session
    */
-  async getAccessToken() {
-    // Check if we have a valid token
-    if (this.accessToken && this.tokenExpiry && Date.now() < this.tokenExpiry) {
-      return this.accessToken;
+  saveAuth(auth) {
+    this.auth = auth;
+    try {
+      if (auth) {
+        localStorage.setItem(AUTH_STORAGE_KEY, JSON.stringify(auth));
+      } else {
+        localStorage.removeItem(AUTH_STORAGE_KEY);
+      }
+    } catch (error) {
+      // Private browsing - stay signed in for this page load only
     }
+  }
+
+  /**
+   * Where Spotify sends the creator back after signing in (must be registered in the dashboard)
+   */
+  getRedirectUri() {
+    return process.env.REACT_APP_SPOTIFY_REDIRECT_URI || `${window.location.origin}${window.location.pathname}`;
+  }
 
+  /**
+   * Start "Sign in with Spotify": redirect to Spotify's consent page with a PKCE challenge
+   */
+  async beginLogin() {
     const clientId = process.env.REACT_APP_SPOTIFY_CLIENT_ID;
-    const clientSecret = process.env.REACT_APP_SPOTIFY_CLIENT_SECRET;
+    if (!clientId) {
+      throw new Error('Spotify sign-in is not configured. Please add REACT_APP_SPOTIFY_CLIENT_ID to your .env file.');
+    }
+
+    const verifier = this.randomString(64);
+    const state = this.randomString(16);
+    const digest = await window.crypto.subtle.digest('SHA-256', new TextEncoder().encode(verifier));
+    const challenge = btoa(String.fromCharCode(...new Uint8Array(digest)))
+      .replace(/\+/g, '-')
+      .replace(/\//g, '_')
+      .replace(/=+$/, '');
+
+    // Remember where the creator was so we can come back to it
+    sessionStorage.setItem(PKCE_STORAGE_KEY, JSON.stringify({ verifier, state, returnHash: window.location.hash }));
+
+    const authorizeUrl = new URL(`${SPOTIFY_ACCOUNTS_BASE}/authorize`);
+    authorizeUrl.searchParams.append('client_id', clientId);
+    authorizeUrl.searchParams.append('response_type', 'code');
+    authorizeUrl.searchParams.append('redirect_uri', this.getRedirectUri());
+    authorizeUrl.searchParams.append('scope', AUTH_SCOPES);
+    authorizeUrl.searchParams.append('code_challenge_method', 'S256');
+    authorizeUrl.searchParams.append('code_challenge', challenge);
+    authorizeUrl.searchParams.append('state', state);
+
+    window.location.assign(authorizeUrl.toString());
+  }
+
+  /**
+   * Whether the current page load is Spotify redirecting back after sign-in
+   */
+  hasLoginCallback() {
+    const params = new URLSearchParams(window.location.search);
+    return params.has('state') && (params.has('code') || params.has('error'));
+  }
+
+  /**
+   * Finish sign-in after the redirect: exchange the code for tokens and tidy up the URL
+   * @returns {boolean} Whether the creator is now signed in
+   */
+  async completeLogin() {
+    const params = new URLSearchParams(window.location.search);
+    const pending = JSON.parse(sessionStorage.getItem(PKCE_STORAGE_KEY) || 'null');
+    sessionStorage.removeItem(PKCE_STORAGE_KEY);
 
-    if (!clientId || !clientSecret) {
-      throw new Error('Spotify API credentials not configured. Please add REACT_APP_SPOTIFY_CLIENT_ID and REACT_APP_SPOTIFY_CLIENT_SECRET to your .env file.');
+    // Drop ?code=...&state=... from the address bar either way
+    window.history.replaceState(null, '', `${window.location.pathname}${pending?.returnHash || '#/'}`);
+
+    if (params.get('error')) {
+      throw new Error(params.get('error') === 'access_denied'
+        ? 'Spotify sign-in was cancelled.'
+        : `Spotify sign-in failed: ${params.get('error')}`);
+    }
+
+    if (!pending || pending.state !== params.get('state')) {
+      throw new Error('Spotify sign-in expired. Please try again.');
+    }
+
+    await this.requestUserToken({
+      grant_type: 'authorization_code',
+      code: params.get('code'),
+      redirect_uri: this.getRedirectUri(),
+      code_verifier: pending.verifier
+    });
+
+    return true;
+  }
+
+  /**
+   * Sign out (only forgets the tokens in this browser)
+   */
+  logout() {
+    this.saveAuth(null);
+  }
+
+  /**
+   * The signed-in creator's access token, refreshed if it's about to expire
+   * @returns {string|null} Token, or null if not signed in (or the session can't be refreshed)
+   */
+  async getUserAccessToken() {
+    if (!this.auth) {
+      return null;
+    }
+
+    if (Date.now() < this.auth.expiresAt - TOKEN_EXPIRY_MARGIN_MS) {
+      return this.auth.accessToken;
     }
 
     try {
-      const response = await fetch(`${SPOTIFY_ACCOUNTS_BASE}/api/token`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/x-www-form-urlencoded',
-          'Authorization': 'Basic ' + btoa(`${clientId}:${clientSecret}`)
-        },
-        body: 'grant_type=client_credentials'
+      await this.requestUserToken({
+        grant_type: 'refresh_token',
+        refresh_token: this.auth.refreshToken
       });
+      return this.auth.accessToken;
+    } catch (error) {
+      console.warn('Spotify session expired, signing out:', error.message);
+      this.logout();
+      return null;
+    }
+  }
+
+  /**
+   * POST to Spotify's token endpoint (PKCE flows don't need the client secret)
+   */
+  async requestUserToken(params) {
+    const response = await fetchWithRetry(`${SPOTIFY_ACCOUNTS_BASE}/api/token`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/x-www-form-urlencoded'
+      },
+      body: new URLSearchParams({ ...params, client_id: process.env.REACT_APP_SPOTIFY_CLIENT_ID })
+    });
 
-      if (!response.ok) {
-        throw new Error(`Failed to get access token: ${response.status} ${response.statusText}`);
+    if (!response.ok) {
+      throw new Error(`Failed to get Spotify access token: ${response.status} ${response.statusText}`);
+    }
+
+    const data = await response.json();
+    this.saveAuth({
+      accessToken: data.access_token,
+      // Refresh responses may not include a new refresh token
+      refreshToken: data.refresh_token || this.auth?.refreshToken,
+      expiresAt: Date.now() + data.expires_in * 1000
+    });
+  }
+
+  /**
+   * Random string from the PKCE verifier alphabet
+   */
+  randomString(length) {
+    const alphabet = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789-._~';
+    const values = window.crypto.getRandomValues(new Uint8Array(length));
+    return Array.from(values, value => alphabet[value % alphabet.length]).join('');
+  }
+
+  /**
+   * List the signed-in creator's playlists (owned, followed, private and collaborative)
+   * @param {Object} options - Optional settings
+   * @param {AbortSignal} options.signal - Cancels the request
+   * @returns {Array} [{ id, name, image, trackCount, owner, isPrivate, collaborative }]
+   */
+  async fetchUserPlaylists({ signal = null } = {}) {
+    const playlists = [];
+    let nextUrl = `${SPOTIFY_API_BASE}/me/playlists?limit=${USER_PLAYLISTS_PAGE_SIZE}`;
+
+    while (nextUrl) {
+      const page = await this.fetchSpotifyJson(nextUrl, 'playlist', { signal });
+      page.items.filter(Boolean).forEach(playlist => {
+        playlists.push({
+          id: playlist.id,
+          name: playlist.name,
+          image: playlist.images?.[0]?.url || null,
+          trackCount: playlist.tracks?.total ?? null,
+          owner: playlist.owner?.display_name || '',
+          isPrivate: playlist.public === false,
+          collaborative: !!playlist.collaborative
+        });
+      });
+      nextUrl = page.next;
+    }
+
+    return playlists;
+  }
+
+  /**
+   * Fetch the signed-in creator's Liked Songs as a collection
+   * @param {Object} options - Same as fetchPlaylist (maxTracks, onProgress, signal)
+   * @returns {Object} Collection data with tracks
+   */
+  async fetchLikedSongs({ maxTracks = DEFAULT_MAX_TRACKS, onProgress = null, signal = null } = {}) {
+    try {
+      const items = [];
+      let total = null;
+      let likedTotal = null; // All Liked Songs, even past maxTracks
+      let nextUrl = `${SPOTIFY_API_BASE}/me/tracks?limit=${LIKED_SONGS_PAGE_SIZE}`;
+
+      while (nextUrl && items.length < maxTracks) {
+        const page = await this.fetchSpotifyJson(nextUrl, 'liked songs', { signal });
+        likedTotal = page.total ?? null;
+        total = Math.min(page.total ?? 0, maxTracks);
+        items.push(...page.items.slice(0, maxTracks - items.length));
+        nextUrl = page.next;
+
+        if (onProgress) {
+          onProgress(items.length, total);
+        }
       }
 
-      const data = await response.json();
-      this.accessToken = data.access_token;
-      // Set expiry to 5 minutes before actual expiry for safety
-      this.tokenExpiry = Date.now() + (data.expires_in - 300) * 1000;
+      const tracks = items
+        .filter(item => item.track)
+        .map(item => this.transformTrack(item.track));
 
-      return this.accessToken;
+      return {
+        id: 'liked',
+        name: 'Liked Songs',
+        description: '',
+        image: tracks[0]?.albumArt || null,
+        tracks: tracks,
+        trackCount: likedTotal > items.length ? likedTotal : tracks.length,
+        sourceType: 'liked'
+      };
     } catch (error) {
-      console.error('Error getting Spotify access token:', error);
+      console.error('Error fetching liked songs:', error);
       throw error;
     }
   }
@@ -63,66 +290,262 @@ class SpotifyService {
    * - spotify:playlist:37i9dQZF1DXcBWIGoYBM5M
    */
   extractPlaylistId(url) {
+    const source = this.parseSpotifyUrl(url);
+    return source?.type === 'playlist' ? source.id : null;
+  }
+
+  /**
+   * Extract the collection type and ID from a Spotify URL or URI
+   * Supports playlist, album, track and artist links, e.g.:
+   * - https://open.spotify.com/album/4aawyAB9vmqN3uQ7FjRGTy?si=xxx
+   * - https://open.spotify.com/intl-de/track/11dFghVXANMlKmJXsNCbNl
+   * - spotify:artist:0OdUWJ0sBjDrqHygGUXeCF
+   * @param {string} url - Spotify URL or URI
+   * @returns {Object|null} { type, id } or null if not recognized
+   */
+  parseSpotifyUrl(url) {
+    const trimmed = url.trim();
+
     // Handle Spotify URI format
-    if (url.startsWith('spotify:playlist:')) {
-      return url.split(':')[2];
+    const uriMatch = trimmed.match(/^spotify:(playlist|album|track|artist):([a-zA-Z0-9]+)/);
+    if (uriMatch) {
+      return { type: uriMatch[1], id: uriMatch[2] };
     }
 
     // Handle URL format
-    const match = url.match(/playlist\/([a-zA-Z0-9]+)/);
-    return match ? match[1] : null;
+    const urlMatch = trimmed.match(/(playlist|album|track|artist)\/([a-zA-Z0-9]+)/);
+    return urlMatch ? { type: urlMatch[1], id: urlMatch[2] } : null;
   }
 
   /**
-   * Fetch playlist data from Spotify API
+   * Fetch playlist data from Spotify API, following `tracks.next` until every
+   * page has been loaded (or the track cap is reached)
    * @param {string} playlistId - The Spotify playlist ID
+   * @param {Object} options - Optional settings
+   * @param {number} options.maxTracks - Hard cap on the number of tracks fetched
+   * @param {Function} options.onProgress - Callback for progress updates (loaded, total)
+   * @param {AbortSignal} options.signal - Cancels the remaining requests
    * @returns {Object} Playlist data with tracks
    */
-  async fetchPlaylist(playlistId) {
+  async fetchPlaylist(playlistId, { maxTracks = DEFAULT_MAX_TRACKS, onProgress = null, signal = null } = {}) {
     try {
-      const token = await this.getAccessToken();
-
-      const response = await fetch(
-        `${SPOTIFY_API_BASE}/playlists/${playlistId}?fields=id,name,description,images,tracks.items(track(name,artists(name),duration_ms,album(images)))`,
-        {
-          headers: {
-            'Authorization': `Bearer ${token}`
-          }
-        }
+      const data = await this.fetchSpotifyJson(
+        `${SPOTIFY_API_BASE}/playlists/${playlistId}?fields=id,name,description,images,tracks(total,next,items(${TRACK_FIELDS}))`,
+        'playlist',
+        { signal }
       );
 
-      if (!response.ok) {
-        if (response.status === 404) {
-          throw new Error('Playlist not found. Please check the URL and make sure the playlist is public.');
-        } else if (response.status === 403) {
-          throw new Error('This playlist is private. Please make it public or use a different playlist.');
-        } else {
-          throw new Error(`Failed to fetch playlist: ${response.status} ${response.statusText}`);
+      const items = data.tracks.items.slice(0, maxTracks);
+      const total = Math.min(data.tracks.total ?? items.length, maxTracks);
+      let nextUrl = data.tracks.next;
+
+      if (onProgress) {
+        onProgress(items.length, total);
+      }
+
+      // Walk the remaining pages
+      while (nextUrl && items.length < maxTracks) {
+        const pageUrl = new URL(nextUrl);
+        pageUrl.searchParams.set('limit', String(PLAYLIST_PAGE_SIZE));
+        pageUrl.searchParams.set('fields', `next,items(${TRACK_FIELDS})`);
+
+        const page = await this.fetchSpotifyJson(pageUrl.toString(), 'playlist', { signal });
+        items.push(...page.items.slice(0, maxTracks - items.length));
+        nextUrl = page.next;
+
+        if (onProgress) {
+          onProgress(items.length, total);
         }
       }
 
-      const data = await response.json();
+      if (nextUrl) {
+        console.warn(`⚠️ Playlist truncated at ${maxTracks} tracks`);
+      }
 
       // Transform the data to our app's format
-      return this.transformPlaylistData(data);
+      return this.transformPlaylistData({
+        ...data,
+        tracks: { ...data.tracks, items }
+      });
     } catch (error) {
       console.error('Error fetching playlist:', error);
       throw error;
     }
   }
 
+  /**
+   * Fetch an album and all of its tracks
+   * @param {string} albumId - The Spotify album ID
+   * @param {Object} options - Same as fetchPlaylist (maxTracks, onProgress, signal)
+   * @returns {Object} Collection data with tracks
+   */
+  async fetchAlbum(albumId, { maxTracks = DEFAULT_MAX_TRACKS, onProgress = null, signal = null } = {}) {
+    try {
+      const data = await this.fetchSpotifyJson(`${SPOTIFY_API_BASE}/albums/${albumId}`, 'album', { signal });
+
+      const items = data.tracks.items.slice(0, maxTracks);
+      const total = Math.min(data.tracks.total ?? items.length, maxTracks);
+      let nextUrl = data.tracks.next;
+
+      if (onProgress) {
+        onProgress(items.length, total);
+      }
+
+      while (nextUrl && items.length < maxTracks) {
+        const pageUrl = new URL(nextUrl);
+        pageUrl.searchParams.set('limit', String(ALBUM_PAGE_SIZE));
+
+        const page = await this.fetchSpotifyJson(pageUrl.toString(), 'album', { signal });
+        items.push(...page.items.slice(0, maxTracks - items.length));
+        nextUrl = page.next;
+
+        if (onProgress) {
+          onProgress(items.length, total);
+        }
+      }
+
+      // Album track objects don't carry album art, so use the album's
+      const albumArt = data.images[0]?.url || null;
+      const tracks = items.map(track => this.transformTrack(track, albumArt));
+
+      return {
+        id: data.id,
+        name: data.name,
+        description: data.artists.map(a => a.name).join(', '),
+        image: albumArt,
+        tracks: tracks,
+        trackCount: data.tracks.total ?? tracks.length,
+        sourceType: 'album'
+      };
+    } catch (error) {
+      console.error('Error fetching album:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Fetch a single track as a one-song collection
+   * @param {string} trackId - The Spotify track ID
+   * @param {Object} options - Optional settings (signal)
+   * @returns {Object} Collection data with one track
+   */
+  async fetchTrack(trackId, { signal = null } = {}) {
+    try {
+      const data = await this.fetchSpotifyJson(`${SPOTIFY_API_BASE}/tracks/${trackId}`, 'track', { signal });
+      const track = this.transformTrack(data);
+
+      return {
+        id: data.id,
+        name: data.name,
+        description: track.artist,
+        image: track.albumArt,
+        tracks: [track],
+        trackCount: 1,
+        sourceType: 'track'
+      };
+    } catch (error) {
+      console.error('Error fetching track:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Fetch an artist's top tracks as a collection
+   * @param {string} artistId - The Spotify artist ID
+   * @param {Object} options - Optional settings (signal)
+   * @returns {Object} Collection data with the artist's top tracks
+   */
+  async fetchArtistTopTracks(artistId, { signal = null } = {}) {
+    try {
+      const artist = await this.fetchSpotifyJson(`${SPOTIFY_API_BASE}/artists/${artistId}`, 'artist', { signal });
+      const data = await this.fetchSpotifyJson(
+        `${SPOTIFY_API_BASE}/artists/${artistId}/top-tracks?market=${TOP_TRACKS_MARKET}`,
+        'artist',
+        { signal }
+      );
+
+      const tracks = data.tracks.map(track => this.transformTrack(track));
+
+      return {
+        id: artist.id,
+        name: `${artist.name} — Top Tracks`,
+        description: '',
+        image: artist.images[0]?.url || null,
+        tracks: tracks,
+        trackCount: tracks.length,
+        sourceType: 'artist'
+      };
+    } catch (error) {
+      console.error('Error fetching artist top tracks:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Fetch a Spotify API URL and return the parsed JSON body
+   * Uses the signed-in creator's token when there is one, otherwise goes through the
+   * /api/spotify function.
+   * @param {string} url - Full Spotify API URL
+   * @param {string} sourceType - Collection type, used in error messages
+   * @param {Object} options - Optional settings
+   * @param {AbortSignal} options.signal - Cancels the request (including retries)
+   * @returns {Object} Parsed response body
+   */
+  async fetchSpotifyJson(url, sourceType = 'playlist', { signal = null } = {}) {
+    const userToken = await this.getUserAccessToken();
+
+    let response;
+    try {
+      response = userToken
+        ? await fetchWithRetry(url, { headers: { 'Authorization': `Bearer ${userToken}` }, signal })
+        : await fetchWithRetry(`${API_BASE}/spotify?url=${encodeURIComponent(url)}`, { signal });
+    } catch (error) {
+      if (isAbortError(error)) {
+        throw error;
+      }
+      throw new Error(userToken
+        ? 'Could not reach Spotify. Please try again in a moment.'
+        : 'Could not reach the MixTape server. Please try again in a moment.');
+    }
+
+    if (!response.ok) {
+      const body = await response.json().catch(() => null);
+
+      if (response.status === 401 && userToken) {
+        this.logout();
+        throw new Error('Your Spotify session has expired. Please sign in again.');
+      } else if (response.status === 404 && sourceType === 'playlist' && !userToken) {
+        throw new Error('Playlist not found. If it is private, sign in with Spotify or make the playlist public.');
+      } else if (response.status === 404 && sourceType === 'playlist') {
+        throw new Error('Playlist not found. Please check the URL and make sure you have access to it.');
+      } else if (response.status === 404) {
+        throw new Error(`Spotify ${sourceType} not found. Please check the URL and try again.`);
+      } else if (response.status === 403) {
+        throw new Error(userToken
+          ? 'You do not have access to this playlist.'
+          : 'This playlist is private. Sign in with Spotify to import your own private playlists, or make it public.');
+      } else if (response.status === 429) {
+        throw new Error('Spotify is busy right now. Please wait a minute and try again.');
+      } else if (typeof body?.error === 'string') {
+        throw new Error(body.error);
+      } else {
+        throw new Error(`Failed to fetch ${sourceType}: ${response.status} ${response.statusText}`);
+      }
+    }
+
+    return await response.json();
+  }
+
   /**
    * Transform Spotify API response to our app's format
+   * trackCount is the playlist's length on Spotify (tracks.total) when the import stopped
+   * at maxTracks, otherwise tracks.length (deleted songs don't count as missing)
    */
   transformPlaylistData(spotifyData) {
-    const tracks = spotifyData.tracks.items
+    const { items, total } = spotifyData.tracks;
+    const tracks = items
       .filter(item => item.track) // Filter out null tracks (deleted songs)
-      .map(item => ({
-        name: item.track.name,
-        artist: item.track.artists.map(a => a.name).join(', '),
-        duration_ms: item.track.duration_ms,
-        albumArt: item.track.album.images[0]?.url || null
-      }));
+      .map(item => this.transformTrack(item.track));
 
     return {
       id: spotifyData.id,
@@ -130,23 +553,66 @@ class SpotifyService {
       description: spotifyData.description || '',
       image: spotifyData.images[0]?.url || null,
       tracks: tracks,
-      trackCount: tracks.length
+      trackCount: total > items.length ? total : tracks.length,
+      sourceType: 'playlist'
+    };
+  }
+
+  /**
+   * Transform a Spotify track object to our app's track format
+   * @param {Object} track - Spotify track object
+   * @param {string|null} fallbackArt - Album art to use when the track has none
+   */
+  transformTrack(track, fallbackArt = null) {
+    return {
+      name: track.name,
+      artist: track.artists.map(a => a.name).join(', '),
+      duration_ms: track.duration_ms,
+      albumArt: track.album?.images[0]?.url || fallbackArt,
+      isrc: track.external_ids?.isrc || null
     };
   }
 
   /**
    * Main method to get playlist data from URL
    * @param {string} url - Spotify playlist URL or URI
+   * @param {Object} options - Passed through to fetchPlaylist (maxTracks, onProgress)
    * @returns {Object} Playlist data
    */
-  async getPlaylistFromUrl(url) {
+  async getPlaylistFromUrl(url, options = {}) {
     const playlistId = this.extractPlaylistId(url);
 
     if (!playlistId) {
       throw new Error('Invalid Spotify playlist URL. Please paste a valid link from Spotify.');
     }
 
-    return await this.fetchPlaylist(playlistId);
+    return await this.fetchPlaylist(playlistId, options);
+  }
+
+  /**
+   * Get a playlist, album, single track or artist's top tracks from a URL,
+   * normalized into { id, name, description, image, tracks, sourceType }
+   * @param {string} url - Spotify URL or URI
+   * @param {Object} options - Passed through to the fetcher (maxTracks, onProgress, signal)
+   * @returns {Object} Collection data
+   */
+  async getCollectionFromUrl(url, options = {}) {
+    const source = this.parseSpotifyUrl(url);
+
+    if (!source) {
+      throw new Error('Invalid Spotify URL. Please paste a playlist, album, track or artist link from Spotify.');
+    }
+
+    switch (source.type) {
+      case 'album':
+        return await this.fetchAlbum(source.id, options);
+      case 'track':
+        return await this.fetchTrack(source.id, options);
+      case 'artist':
+        return await this.fetchArtistTopTracks(source.id, options);
+      default:
+        return await this.fetchPlaylist(source.id, options);
+    }
   }
 }
 
@@ -0,0 +1,57 @@
+import spotifyService from './spotify';
+
+afterEach(() => {
+  spotifyService.logout();
+  delete global.fetch;
+});
+
+test('fetches through the API function when not signed in', async () => {
+  global.fetch = jest.fn().mockResolvedValue({ ok: true, json: async () => ({ id: 'abc' }) });
+
+  await spotifyService.fetchSpotifyJson('https://api.spotify.com/v1/tracks/abc', 'track');
+
+  expect(global.fetch).toHaveBeenCalledWith(
+    `/api/spotify?url=${encodeURIComponent('https://api.spotify.com/v1/tracks/abc')}`,
+    expect.anything()
+  );
+});
+
+test('calls Spotify directly with the creator\'s token when signed in', async () => {
+  spotifyService.saveAuth({ accessToken: 'user-token', refreshToken: 'refresh', expiresAt: Date.now() + 3600 * 1000 });
+  global.fetch = jest.fn().mockResolvedValue({ ok: true, json: async () => ({ items: [], next: null }) });
+
+  await spotifyService.fetchUserPlaylists();
+
+  expect(global.fetch).toHaveBeenCalledWith(
+    'https://api.spotify.com/v1/me/playlists?limit=50',
+    expect.objectContaining({ headers: { 'Authorization': 'Bearer user-token' } })
+  );
+});
+
+test('suggests signing in when a playlist is private', async () => {
+  global.fetch = jest.fn().mockResolvedValue({ ok: false, status: 403, json: async () => ({}) });
+
+  await expect(spotifyService.fetchPlaylist('private')).rejects.toThrow(/Sign in with Spotify/);
+});
+
+const playlistItem = (n) => ({ track: { id: `t${n}`, name: `Song ${n}`, artists: [{ name: 'Artist' }], album: { name: 'Album', images: [] }, duration_ms: 1000 } });
+
+test('reports the playlist\'s full length when only part of it is imported', () => {
+  const playlist = spotifyService.transformPlaylistData({
+    id: 'p', name: 'Long', description: '', owner: { display_name: 'me' }, images: [],
+    tracks: { total: 250, items: [playlistItem(1), playlistItem(2)] }
+  });
+
+  expect(playlist.tracks).toHaveLength(2);
+  expect(playlist.trackCount).toBe(250);
+});
+
+test('does not count deleted songs as left out of the import', () => {
+  const playlist = spotifyService.transformPlaylistData({
+    id: 'p', name: 'Gaps', description: '', owner: { display_name: 'me' }, images: [],
+    tracks: { total: 3, items: [playlistItem(1), { track: null }, playlistItem(3)] }
+  });
+
+  expect(playlist.tracks).toHaveLength(2);
+  expect(playlist.trackCount).toBe(2);
+});
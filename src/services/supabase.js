@@ -1,9 +1,17 @@
 /**
  * Supabase Service
  * Handles database operations for mixtapes
+ *
+ * Each mixtape gets a secret edit token when it's created. Only its SHA-256 hash is
+ * stored; edits go through the update_mixtape database function, which checks the
+ * token (see supabase/migrations/).
+ *
+ * View and play counters are incremented atomically by database functions. Views
+ * count once per browser, plays once per browser session.
  */
 
 import { createClient } from '@supabase/supabase-js';
+import fetchWithRetry from './http';
 
 const supabaseUrl = process.env.REACT_APP_SUPABASE_URL;
 const supabaseAnonKey = process.env.REACT_APP_SUPABASE_ANON_KEY;
@@ -12,8 +20,41 @@ if (!supabaseUrl || !supabaseAnonKey) {
   console.error('Supabase credentials not configured. Please add REACT_APP_SUPABASE_URL and REACT_APP_SUPABASE_ANON_KEY to your .env file.');
 }
 
-// Create Supabase client
-export const supabase = createClient(supabaseUrl, supabaseAnonKey);
+const EDIT_TOKENS_STORAGE_KEY = 'mixtape.editTokens';
+const VIEWED_STORAGE_KEY = 'mixtape.viewed'; // localStorage: mixtapes this browser has viewed
+const PLAYED_STORAGE_KEY = 'mixtape.played'; // sessionStorage: mixtapes played this session
+
+/**
+ * Record a mixtape ID in a storage-backed list
+ * @returns {boolean} false if it was already there
+ */
+const markOnce = (storage, key, mixtapeId) => {
+  try {
+    const ids = JSON.parse(storage.getItem(key) || '[]');
+    if (ids.includes(mixtapeId)) return false;
+    storage.setItem(key, JSON.stringify([...ids, mixtapeId]));
+  } catch (err) {
+    // Storage unavailable - count it anyway
+  }
+  return true;
+};
+
+/**
+ * Remove a mixtape ID again (when the increment it guarded failed)
+ */
+const unmark = (storage, key, mixtapeId) => {
+  try {
+    const ids = JSON.parse(storage.getItem(key) || '[]');
+    storage.setItem(key, JSON.stringify(ids.filter(id => id !== mixtapeId)));
+  } catch (err) {
+    // Nothing to undo
+  }
+};
+
+// Create Supabase client (requests get the shared timeout/retry handling)
+export const supabase = createClient(supabaseUrl, supabaseAnonKey, {
+  global: { fetch: (url, init) => fetchWithRetry(url, init) }
+});
 
 class SupabaseService {
   constructor() {
@@ -31,75 +72,256 @@ class SupabaseService {
     return `${timestamp}${randomStr}`;
   }
 
+  /**
+   * Generate a secret edit token (256 random bits, URL-safe)
+   * @returns {string}
+   */
+  generateEditToken() {
+    const bytes = window.crypto.getRandomValues(new Uint8Array(32));
+    return btoa(String.fromCharCode(...bytes))
+      .replace(/\+/g, '-')
+      .replace(/\//g, '_')
+      .replace(/=+$/, '');
+  }
+
+  /**
+   * SHA-256 hex digest of an edit token (matches encode(digest(token, 'sha256'), 'hex') in SQL)
+   * @param {string} token - The edit token
+   * @returns {string}
+   */
+  async hashEditToken(token) {
+    const digest = await window.crypto.subtle.digest('SHA-256', new TextEncoder().encode(token));
+    return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+  }
+
+  /**
+   * Public link to a mixtape
+   */
+  getMixtapeUrl(mixtapeId) {
+    return `${window.location.origin}/#/mixtape/${mixtapeId}`;
+  }
+
+  /**
+   * Secret link that reopens a mixtape in the editor
+   */
+  getEditUrl(mixtapeId, editToken) {
+    return `${window.location.origin}/#/mixtape/${mixtapeId}/edit?token=${encodeURIComponent(editToken)}`;
+  }
+
+  /**
+   * Remember an edit token in this browser so the creator sees their edit link later
+   */
+  saveEditToken(mixtapeId, editToken) {
+    try {
+      const tokens = JSON.parse(localStorage.getItem(EDIT_TOKENS_STORAGE_KEY) || '{}');
+      tokens[mixtapeId] = editToken;
+      localStorage.setItem(EDIT_TOKENS_STORAGE_KEY, JSON.stringify(tokens));
+    } catch (err) {
+      // Storage unavailable - the creator still has the edit link
+    }
+  }
+
+  /**
+   * Edit token saved in this browser for a mixtape, if any
+   * @returns {string|null}
+   */
+  getSavedEditToken(mixtapeId) {
+    try {
+      return JSON.parse(localStorage.getItem(EDIT_TOKENS_STORAGE_KEY) || '{}')[mixtapeId] || null;
+    } catch (err) {
+      return null;
+    }
+  }
+
+  /**
+   * Convert app-format mixtape data to database columns
+   * @param {Object} mixtapeData - The mixtape configuration
+   * @returns {Object} Row fields
+   */
+  toRow(mixtapeData) {
+    return {
+      spotify_playlist_id: mixtapeData.spotifyPlaylistId,
+      source_type: mixtapeData.sourceType,
+      playlist_name: mixtapeData.playlistName,
+      playlist_description: mixtapeData.playlistDescription,
+      playlist_image: mixtapeData.playlistImage,
+      mixtape_title: mixtapeData.mixtapeTitle,
+      sender_name: mixtapeData.senderName,
+      personal_message: mixtapeData.personalMessage,
+      cassette_color: mixtapeData.cassetteColor,
+      background_color: mixtapeData.backgroundColor,
+      font_style: mixtapeData.fontStyle,
+      tracks: mixtapeData.tracks,
+      side_layout: mixtapeData.sideLayout || null,
+      expires_at: mixtapeData.expiresAt || null,
+      max_plays: mixtapeData.maxPlays || null,
+    };
+  }
+
   /**
    * Create a new mixtape in the database
    * @param {Object} mixtapeData - The mixtape configuration
-   * @returns {Object} { id, url, error }
+   * @returns {Object} { id, url, editToken, editUrl, error } - editToken is only ever returned here
    */
   async createMixtape(mixtapeData) {
     try {
       const mixtapeId = this.generateMixtapeId();
+      const editToken = this.generateEditToken();
 
-      const { data, error } = await supabase
+      const { error } = await supabase
         .from('mixtapes')
         .insert([
           {
             id: mixtapeId,
-            spotify_playlist_id: mixtapeData.spotifyPlaylistId,
-            playlist_name: mixtapeData.playlistName,
-            playlist_description: mixtapeData.playlistDescription,
-            playlist_image: mixtapeData.playlistImage,
-            mixtape_title: mixtapeData.mixtapeTitle,
-            sender_name: mixtapeData.senderName,
-            personal_message: mixtapeData.personalMessage,
-            cassette_color: mixtapeData.cassetteColor,
-            background_color: mixtapeData.backgroundColor,
-            font_style: mixtapeData.fontStyle,
-            tracks: mixtapeData.tracks,
+            ...this.toRow(mixtapeData),
+            edit_token_hash: await this.hashEditToken(editToken),
           },
-        ])
-        .select()
-        .single();
+        ]);
 
       if (error) {
         console.error('Error creating mixtape:', error);
-        return { id: null, url: null, error: error.message };
+        return { id: null, url: null, editToken: null, editUrl: null, error: error.message };
       }
 
-      const url = `${window.location.origin}/#/mixtape/${mixtapeId}`;
-      return { id: mixtapeId, url, error: null };
+      this.saveEditToken(mixtapeId, editToken);
+
+      return {
+        id: mixtapeId,
+        url: this.getMixtapeUrl(mixtapeId),
+        editToken,
+        editUrl: this.getEditUrl(mixtapeId, editToken),
+        error: null,
+      };
     } catch (err) {
       console.error('Unexpected error creating mixtape:', err);
-      return { id: null, url: null, error: err.message };
+      return { id: null, url: null, editToken: null, editUrl: null, error: err.message };
+    }
+  }
+
+  /**
+   * Check an edit token against a mixtape
+   * @param {string} mixtapeId - The mixtape ID
+   * @param {string} editToken - Token from the edit link
+   * @returns {Object} { valid, error }
+   */
+  async verifyEditToken(mixtapeId, editToken) {
+    try {
+      const { data, error } = await supabase.rpc('verify_mixtape_edit_token', {
+        p_id: mixtapeId,
+        p_token: editToken,
+      });
+
+      if (error) {
+        console.error('Error verifying edit token:', error);
+        return { valid: false, error: error.message };
+      }
+
+      return { valid: data === true, error: null };
+    } catch (err) {
+      console.error('Unexpected error verifying edit token:', err);
+      return { valid: false, error: err.message };
+    }
+  }
+
+  /**
+   * Update a mixtape; only succeeds with the mixtape's edit token
+   * @param {string} mixtapeId - The mixtape ID
+   * @param {string} editToken - Token from the edit link
+   * @param {Object} mixtapeData - The new mixtape configuration (same shape as createMixtape)
+   * @returns {Object} { success, error }
+   */
+  async updateMixtape(mixtapeId, editToken, mixtapeData) {
+    try {
+      const { data, error } = await supabase.rpc('update_mixtape', {
+        p_id: mixtapeId,
+        p_token: editToken,
+        p_changes: this.toRow(mixtapeData),
+      });
+
+      if (error) {
+        console.error('Error updating mixtape:', error);
+        return { success: false, error: error.message };
+      }
+
+      if (data !== true) {
+        return { success: false, error: 'This edit link is not valid for this mixtape.' };
+      }
+
+      return { success: true, error: null };
+    } catch (err) {
+      console.error('Unexpected error updating mixtape:', err);
+      return { success: false, error: err.message };
+    }
+  }
+
+  /**
+   * Permanently erase a mixtape; only succeeds with the mixtape's edit token
+   * The row is kept (so the link can say "this tape has been erased") but its
+   * contents and edit token are wiped.
+   * @param {string} mixtapeId - The mixtape ID
+   * @param {string} editToken - Token from the edit link
+   * @returns {Object} { success, error }
+   */
+  async deleteMixtape(mixtapeId, editToken) {
+    try {
+      const { data, error } = await supabase.rpc('delete_mixtape', {
+        p_id: mixtapeId,
+        p_token: editToken,
+      });
+
+      if (error) {
+        console.error('Error deleting mixtape:', error);
+        return { success: false, error: error.message };
+      }
+
+      if (data !== true) {
+        return { success: false, error: 'This edit link is not valid for this mixtape.' };
+      }
+
+      return { success: true, error: null };
+    } catch (err) {
+      console.error('Unexpected error deleting mixtape:', err);
+      return { success: false, error: err.message };
     }
   }
 
   /**
    * Load a mixtape from the database by ID
+   * Tapes that were deleted, have expired or have used up their plays are only returned
+   * with their edit token (so the owner can extend them); see load_mixtape.
    * @param {string} mixtapeId - The mixtape ID
-   * @returns {Object} { mixtape, error }
+   * @param {string} editToken - Optional edit token
+   * @returns {Object} { mixtape, error, erasedReason } - erasedReason is 'deleted' | 'expired' |
+   *   'played_out' when the tape can no longer be played; mixtape is then null for everyone
+   *   but the owner
    */
-  async loadMixtape(mixtapeId) {
+  async loadMixtape(mixtapeId, editToken = null) {
     try {
-      const { data, error } = await supabase
-        .from('mixtapes')
-        .select('*')
-        .eq('id', mixtapeId)
-        .single();
+      const { data: result, error } = await supabase.rpc('load_mixtape', {
+        p_id: mixtapeId,
+        p_token: editToken,
+      });
 
       if (error) {
-        if (error.code === 'PGRST116') {
-          // No rows returned
-          return { mixtape: null, error: 'Mixtape not found' };
-        }
         console.error('Error loading mixtape:', error);
-        return { mixtape: null, error: error.message };
+        return { mixtape: null, error: error.message, erasedReason: null };
+      }
+
+      if (!result) {
+        return { mixtape: null, error: 'Mixtape not found', erasedReason: null };
+      }
+
+      const erasedReason = result.erased_reason || null;
+      if (!result.mixtape) {
+        return { mixtape: null, error: 'Mixtape erased', erasedReason };
       }
 
       // Transform database format to app format
+      const data = result.mixtape;
       const mixtape = {
         id: data.id,
         spotifyPlaylistId: data.spotify_playlist_id,
+        sourceType: data.source_type || 'playlist',
         playlistName: data.playlist_name,
         playlistDescription: data.playlist_description,
         playlistImage: data.playlist_image,
@@ -110,66 +332,57 @@ class SupabaseService {
         backgroundColor: data.background_color,
         fontStyle: data.font_style,
         tracks: data.tracks,
+        sideLayout: data.side_layout,
         createdAt: data.created_at,
+        updatedAt: data.updated_at,
         viewCount: data.view_count,
         playCount: data.play_count,
+        lastPlayedAt: data.last_played_at,
+        expiresAt: data.expires_at,
+        maxPlays: data.max_plays,
       };
 
-      return { mixtape, error: null };
+      return { mixtape, error: null, erasedReason };
     } catch (err) {
       console.error('Unexpected error loading mixtape:', err);
-      return { mixtape: null, error: err.message };
+      return { mixtape: null, error: err.message, erasedReason: null };
     }
   }
 
   /**
-   * Increment view count for a mixtape
+   * Count a view of a mixtape, once per browser
    * @param {string} mixtapeId - The mixtape ID
    */
   async incrementViewCount(mixtapeId) {
-    try {
-      // Get current count
-      const { data: current } = await supabase
-        .from('mixtapes')
-        .select('view_count')
-        .eq('id', mixtapeId)
-        .single();
-
-      if (!current) return;
-
-      // Increment
-      const { error } = await supabase
-        .from('mixtapes')
-        .update({ view_count: (current.view_count || 0) + 1 })
-        .eq('id', mixtapeId);
-
-      if (error) {
-        console.error('Error incrementing view count:', error);
-      }
-    } catch (err) {
-      console.error('Unexpected error incrementing view count:', err);
-    }
+    await this.incrementCounter(mixtapeId, 'increment_mixtape_view', localStorage, VIEWED_STORAGE_KEY, 'view');
   }
 
   /**
-   * Increment play count and update last played timestamp
+   * Count a play of a mixtape (and update last played timestamp), once per browser session
    * @param {string} mixtapeId - The mixtape ID
    */
   async incrementPlayCount(mixtapeId) {
+    await this.incrementCounter(mixtapeId, 'increment_mixtape_play', sessionStorage, PLAYED_STORAGE_KEY, 'play');
+  }
+
+  /**
+   * Call an atomic increment function unless this browser already counted the mixtape
+   */
+  async incrementCounter(mixtapeId, functionName, storage, storageKey, label) {
+    if (!markOnce(storage, storageKey, mixtapeId)) {
+      return;
+    }
+
     try {
-      const { error } = await supabase
-        .from('mixtapes')
-        .update({
-          play_count: supabase.raw('play_count + 1'),
-          last_played_at: new Date().toISOString(),
-        })
-        .eq('id', mixtapeId);
+      const { error } = await supabase.rpc(functionName, { p_id: mixtapeId });
 
       if (error) {
-        console.error('Error incrementing play count:', error);
+        console.error(`Error incrementing ${label} count:`, error);
+        unmark(storage, storageKey, mixtapeId);
       }
     } catch (err) {
-      console.error('Unexpected error incrementing play count:', err);
+      console.error(`Unexpected error incrementing ${label} count:`, err);
+      unmark(storage, storageKey, mixtapeId);
     }
   }
 
@@ -0,0 +1,87 @@
+import supabaseService from './supabase';
+
+jest.mock('@supabase/supabase-js', () => ({
+  createClient: () => ({}),
+}));
+
+beforeEach(() => {
+  localStorage.clear();
+  sessionStorage.clear();
+});
+
+test('loads a live mixtape', async () => {
+  const rpc = jest.fn().mockResolvedValue({
+    data: { erased_reason: null, mixtape: { id: 'tape1', mixtape_title: 'Summer', tracks: [], play_count: 2 } },
+    error: null,
+  });
+  supabaseService.client.rpc = rpc;
+
+  const { mixtape, error, erasedReason } = await supabaseService.loadMixtape('tape1');
+
+  expect(rpc).toHaveBeenCalledWith('load_mixtape', { p_id: 'tape1', p_token: null });
+  expect(mixtape).toMatchObject({ id: 'tape1', mixtapeTitle: 'Summer', playCount: 2 });
+  expect(error).toBeNull();
+  expect(erasedReason).toBeNull();
+});
+
+test('explains why a mixtape can no longer be played', async () => {
+  supabaseService.client.rpc = jest.fn().mockResolvedValue({
+    data: { erased_reason: 'expired', mixtape: null },
+    error: null,
+  });
+
+  const result = await supabaseService.loadMixtape('tape1');
+
+  expect(result).toEqual({ mixtape: null, error: 'Mixtape erased', erasedReason: 'expired' });
+});
+
+test('still gives an expired mixtape to its owner', async () => {
+  const rpc = jest.fn().mockResolvedValue({
+    data: { erased_reason: 'played_out', mixtape: { id: 'tape1', max_plays: 3, play_count: 3 } },
+    error: null,
+  });
+  supabaseService.client.rpc = rpc;
+
+  const { mixtape, erasedReason } = await supabaseService.loadMixtape('tape1', 'token');
+
+  expect(rpc).toHaveBeenCalledWith('load_mixtape', { p_id: 'tape1', p_token: 'token' });
+  expect(mixtape).toMatchObject({ maxPlays: 3, playCount: 3 });
+  expect(erasedReason).toBe('played_out');
+});
+
+test('reports a missing mixtape', async () => {
+  supabaseService.client.rpc = jest.fn().mockResolvedValue({ data: null, error: null });
+
+  const { mixtape, error } = await supabaseService.loadMixtape('nope');
+
+  expect(mixtape).toBeNull();
+  expect(error).toBe('Mixtape not found');
+});
+
+test('counts a view once per browser and a play once per session', async () => {
+  const rpc = jest.fn().mockResolvedValue({ data: 1, error: null });
+  supabaseService.client.rpc = rpc;
+
+  await supabaseService.incrementViewCount('tape1');
+  await supabaseService.incrementViewCount('tape1');
+  await supabaseService.incrementPlayCount('tape1');
+  await supabaseService.incrementPlayCount('tape1');
+
+  expect(rpc).toHaveBeenCalledTimes(2);
+  expect(rpc).toHaveBeenCalledWith('increment_mixtape_view', { p_id: 'tape1' });
+  expect(rpc).toHaveBeenCalledWith('increment_mixtape_play', { p_id: 'tape1' });
+});
+
+test('forgets a view that failed to record so it is counted next time', async () => {
+  const rpc = jest.fn()
+    .mockResolvedValueOnce({ data: null, error: { message: 'offline' } })
+    .mockResolvedValueOnce({ data: 1, error: null });
+  supabaseService.client.rpc = rpc;
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+
+  await supabaseService.incrementViewCount('tape2');
+  await supabaseService.incrementViewCount('tape2');
+
+  expect(rpc).toHaveBeenCalledTimes(2);
+  console.error.mockRestore();
+});
@@ -0,0 +1,219 @@
+/**
+ * Tape Sides Service
+ * Splits a mixtape's tracks into Side A and Side B like a real cassette
+ *
+ * Tracks stay one flat list; the layout only records the tape length and the index
+ * where Side B starts ({ tapeLength, sideBStart }). Mixtapes saved before sides
+ * existed have no layout and play as one list.
+ */
+
+// Cassette lengths in minutes (C45, C60, C90); each side holds half
+export const TAPE_LENGTHS = [45, 60, 90];
+
+const ESTIMATED_TRACK_MS = 210000; // For tracks imported without a duration (3:30)
+
+class TapeSidesService {
+  /**
+   * Track duration, estimated when unknown
+   */
+  getTrackMs(track) {
+    return track?.duration_ms || ESTIMATED_TRACK_MS;
+  }
+
+  getTotalMs(tracks) {
+    return tracks.reduce((total, track) => total + this.getTrackMs(track), 0);
+  }
+
+  /**
+   * How much one side of a tape holds
+   */
+  getSideCapacityMs(tapeLength) {
+    return (tapeLength * 60 * 1000) / 2;
+  }
+
+  /**
+   * Shortest tape the tracks fit on (the longest one if they don't fit on any)
+   */
+  chooseTapeLength(tracks) {
+    const totalMs = this.getTotalMs(tracks);
+    return TAPE_LENGTHS.find(length => totalMs <= length * 60 * 1000) || TAPE_LENGTHS[TAPE_LENGTHS.length - 1];
+  }
+
+  /**
+   * Split tracks between the sides as evenly as the side length allows
+   * @param {Array} tracks - The mixtape's tracks
+   * @param {number} tapeLength - One of TAPE_LENGTHS
+   * @returns {Object} { tapeLength, sideBStart }
+   */
+  autoSplit(tracks, tapeLength) {
+    const capacityMs = this.getSideCapacityMs(tapeLength);
+    const halfMs = this.getTotalMs(tracks) / 2;
+
+    let sideBStart = tracks.length > 1 ? 1 : tracks.length;
+    let bestDistance = Infinity;
+    let sideAMs = 0;
+
+    for (let i = 0; i < tracks.length; i++) {
+      sideAMs += this.getTrackMs(tracks[i]);
+      if (sideAMs > capacityMs) break;
+
+      // Keep at least one track on Side B
+      const start = i + 1;
+      if (start >= tracks.length && tracks.length > 1) break;
+
+      const distance = Math.abs(sideAMs - halfMs);
+      if (distance < bestDistance) {
+        bestDistance = distance;
+        sideBStart = start;
+      }
+    }
+
+    return { tapeLength, sideBStart };
+  }
+
+  /**
+   * Keep a layout valid after tracks were added or removed
+   */
+  normalize(layout, trackCount) {
+    if (!layout) return null;
+    return {
+      tapeLength: TAPE_LENGTHS.includes(layout.tapeLength) ? layout.tapeLength : TAPE_LENGTHS[1],
+      sideBStart: Math.max(0, Math.min(layout.sideBStart, trackCount)),
+    };
+  }
+
+  /**
+   * Both sides with their track ranges and running times
+   * @returns {Array} [{ id: 'A'|'B', start, end, durationMs, capacityMs, overLength }]
+   *   (start inclusive, end exclusive)
+   */
+  getSides(tracks, layout) {
+    const { tapeLength, sideBStart } = this.normalize(layout, tracks.length);
+    const capacityMs = this.getSideCapacityMs(tapeLength);
+
+    return [
+      { id: 'A', start: 0, end: sideBStart },
+      { id: 'B', start: sideBStart, end: tracks.length },
+    ].map(side => {
+      const durationMs = this.getTotalMs(tracks.slice(side.start, side.end));
+      return { ...side, durationMs, capacityMs, overLength: durationMs > capacityMs };
+    });
+  }
+
+  /**
+   * Which side a track is on
+   * @returns {string|null} 'A', 'B', or null for mixtapes without sides
+   */
+  getSide(index, layout) {
+    if (!layout) return null;
+    return index < layout.sideBStart ? 'A' : 'B';
+  }
+
+  /**
+   * Move a track onto the position of another (drag and drop); it joins that track's side
+   * @param {Array} tracks - The mixtape's tracks
+   * @param {Object|null} layout - Side layout
+   * @param {number} from - Index of the moved track
+   * @param {number} to - Index of the track it was dropped on
+   * @returns {Object} { tracks, layout }
+   */
+  moveTrack(tracks, layout, from, to) {
+    const side = this.getSide(to, layout);
+    const next = [...tracks];
+    const [track] = next.splice(from, 1);
+    next.splice(to, 0, track);
+
+    if (!layout) return { tracks: next, layout };
+
+    let { sideBStart } = layout;
+    if (from < sideBStart) sideBStart--;
+    if (side === 'A') sideBStart++;
+    return { tracks: next, layout: { ...layout, sideBStart } };
+  }
+
+  /**
+   * Move a track one step up (-1) or down (+1); at the edge of a side it crosses to the other side
+   * @returns {Object} { tracks, layout }
+   */
+  moveTrackBy(tracks, layout, index, delta) {
+    if (layout && delta > 0 && index === layout.sideBStart - 1) {
+      return { tracks, layout: { ...layout, sideBStart: layout.sideBStart - 1 } };
+    }
+    if (layout && delta < 0 && index === layout.sideBStart) {
+      return { tracks, layout: { ...layout, sideBStart: layout.sideBStart + 1 } };
+    }
+
+    const to = index + delta;
+    if (to < 0 || to >= tracks.length) return { tracks, layout };
+    return this.moveTrack(tracks, layout, index, to);
+  }
+
+  /**
+   * Take a track out of the list
+   * @returns {Object} { tracks, layout, removed } - removed remembers where it was, for insertTrack
+   */
+  removeTrack(tracks, layout, index) {
+    const removed = { track: tracks[index], index, side: this.getSide(index, layout) };
+    const next = tracks.filter((_, i) => i !== index);
+
+    if (!layout) return { tracks: next, layout, removed };
+
+    const sideBStart = index < layout.sideBStart ? layout.sideBStart - 1 : layout.sideBStart;
+    return { tracks: next, layout: { ...layout, sideBStart }, removed };
+  }
+
+  /**
+   * Put a removed track back where it was, on the same side
+   * @param {Object} removed - From removeTrack
+   * @returns {Object} { tracks, layout }
+   */
+  insertTrack(tracks, layout, { track, index, side }) {
+    let at = Math.min(index, tracks.length);
+    if (layout) {
+      at = side === 'A' ? Math.min(at, layout.sideBStart) : Math.max(at, layout.sideBStart);
+    }
+
+    const next = [...tracks.slice(0, at), track, ...tracks.slice(at)];
+    if (!layout || side !== 'A') return { tracks: next, layout };
+    return { tracks: next, layout: { ...layout, sideBStart: layout.sideBStart + 1 } };
+  }
+
+  /**
+   * Where playback is on the tape (the current side, or the whole list without sides)
+   * @param {Array} tracks - The mixtape's tracks
+   * @param {Object|null} layout - Side layout
+   * @param {number} index - Current track
+   * @param {number} trackElapsedMs - Position within the current track
+   * @returns {Object} { elapsedMs, totalMs, progress } - progress is 0..1
+   */
+  getTapePosition(tracks, layout, index, trackElapsedMs) {
+    const { start, end } = layout
+      ? this.getSides(tracks, layout).find(side => index >= side.start && index < side.end) || { start: 0, end: 0 }
+      : { start: 0, end: tracks.length };
+
+    const elapsedMs = this.getTotalMs(tracks.slice(start, index)) + trackElapsedMs;
+    const totalMs = this.getTotalMs(tracks.slice(start, end));
+
+    return {
+      elapsedMs,
+      totalMs,
+      progress: totalMs ? Math.min(1, Math.max(0, elapsedMs / totalMs)) : 0,
+    };
+  }
+
+  /**
+   * First track with a YouTube match on a side
+   * @returns {number|null}
+   */
+  getFirstPlayableIndex(tracks, layout, sideId) {
+    const side = this.getSides(tracks, layout).find(s => s.id === sideId);
+    for (let i = side.start; i < side.end; i++) {
+      if (tracks[i]?.youtubeId) return i;
+    }
+    return null;
+  }
+}
+
+// Export a singleton instance
+const tapeSidesService = new TapeSidesService();
+export default tapeSidesService;
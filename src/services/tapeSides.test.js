@@ -0,0 +1,74 @@
+import tapeSidesService from './tapeSides';
+
+const minutes = (...lengths) => lengths.map((length, i) => ({
+  name: `Track ${i + 1}`,
+  duration_ms: length * 60 * 1000,
+  youtubeId: `yt${i}`,
+}));
+
+test('picks the shortest tape the tracks fit on', () => {
+  expect(tapeSidesService.chooseTapeLength(minutes(10, 10, 10))).toBe(45);
+  expect(tapeSidesService.chooseTapeLength(minutes(20, 20, 10))).toBe(60);
+  expect(tapeSidesService.chooseTapeLength(minutes(60, 60))).toBe(90);
+});
+
+test('splits tracks evenly between the sides', () => {
+  const tracks = minutes(5, 5, 5, 5, 4, 4, 2);
+
+  expect(tapeSidesService.autoSplit(tracks, 60)).toEqual({ tapeLength: 60, sideBStart: 3 });
+
+  const [sideA, sideB] = tapeSidesService.getSides(tracks, { tapeLength: 60, sideBStart: 3 });
+  expect(sideA).toMatchObject({ start: 0, end: 3, durationMs: 15 * 60000, overLength: false });
+  expect(sideB).toMatchObject({ start: 3, end: 7, durationMs: 15 * 60000 });
+});
+
+test('never puts more on Side A than the side holds', () => {
+  const tracks = minutes(20, 20, 1);
+
+  expect(tapeSidesService.autoSplit(tracks, 45).sideBStart).toBe(1);
+});
+
+test('finds the first playable track on a side', () => {
+  const tracks = minutes(3, 3, 3, 3);
+  delete tracks[2].youtubeId;
+
+  expect(tapeSidesService.getFirstPlayableIndex(tracks, { tapeLength: 45, sideBStart: 2 }, 'B')).toBe(3);
+  expect(tapeSidesService.getSide(1, { tapeLength: 45, sideBStart: 2 })).toBe('A');
+  expect(tapeSidesService.getSide(1, null)).toBeNull();
+});
+
+test('keeps songs on their side when the track list is edited', () => {
+  const names = (tracks) => tracks.map(track => track.name);
+  const tracks = minutes(3, 3, 3, 3);
+  const layout = { tapeLength: 45, sideBStart: 2 };
+
+  // Moving the last song of Side A down moves it across to Side B without reordering
+  const crossed = tapeSidesService.moveTrackBy(tracks, layout, 1, 1);
+  expect(names(crossed.tracks)).toEqual(names(tracks));
+  expect(crossed.layout.sideBStart).toBe(1);
+
+  // Dropping a Side B song onto a Side A song moves it to Side A
+  const dropped = tapeSidesService.moveTrack(tracks, layout, 3, 0);
+  expect(names(dropped.tracks)).toEqual(['Track 4', 'Track 1', 'Track 2', 'Track 3']);
+  expect(dropped.layout.sideBStart).toBe(3);
+
+  // Removing and restoring a song puts it back in place
+  const { tracks: fewer, layout: fewerLayout, removed } = tapeSidesService.removeTrack(tracks, layout, 0);
+  expect(fewerLayout.sideBStart).toBe(1);
+  const restored = tapeSidesService.insertTrack(fewer, fewerLayout, removed);
+  expect(names(restored.tracks)).toEqual(names(tracks));
+  expect(restored.layout).toEqual(layout);
+});
+
+test('reports the position on the current side of the tape', () => {
+  const tracks = minutes(4, 4, 2, 6);
+  const layout = { tapeLength: 45, sideBStart: 2 };
+
+  expect(tapeSidesService.getTapePosition(tracks, layout, 1, 2 * 60000)).toEqual({
+    elapsedMs: 6 * 60000,
+    totalMs: 8 * 60000,
+    progress: 0.75,
+  });
+  expect(tapeSidesService.getTapePosition(tracks, layout, 2, 0).progress).toBe(0);
+  expect(tapeSidesService.getTapePosition(tracks, null, 3, 3 * 60000).progress).toBe(13 / 16);
+});
@@ -0,0 +1,238 @@
+/**
+ * Tracklist Service
+ * Parses pasted plain-text tracklists into the track format used by the YouTube matcher
+ *
+ * Supports:
+ * - "Artist - Title (3:45)" (duration optional, also "–" / "—" separators)
+ * - "Title by Artist"
+ * - CSV exports with a header row (e.g. "Track Name,Artist Name(s),Duration (ms)")
+ * - TSV exports, with or without a header row (artist, title, duration)
+ */
+
+const TITLE_COLUMN = /^(track|track name|title|name|song|song name)$/i;
+const ARTIST_COLUMN = /^(artist|artists|artist name|artist name\(s\)|artist\(s\)|performer|creator)$/i;
+const DURATION_COLUMN = /^(duration|length|time)( \((ms|seconds|s)\))?$/i;
+
+const TRAILING_DURATION = /\s*[([]?\s*(\d{1,2}:\d{2}(?::\d{2})?)\s*[)\]]?\s*$/;
+const NUMBER_PREFIX = /^\d{1,3}[.)]\s+/;
+const ARTIST_TITLE_SEPARATOR = /\s+[-–—]\s+/;
+
+class TracklistService {
+  /**
+   * Parse pasted text into a mixtape collection
+   * @param {string} text - The pasted tracklist
+   * @returns {Object} { id, name, description, image, tracks, trackCount, sourceType }
+   */
+  getCollectionFromText(text) {
+    const tracks = this.parse(text);
+
+    if (tracks.length === 0) {
+      throw new Error('No tracks found. Please paste one song per line, like "Artist - Title".');
+    }
+
+    return {
+      id: null,
+      name: 'My Mixtape',
+      description: '',
+      image: null,
+      tracks: tracks,
+      trackCount: tracks.length,
+      sourceType: 'text'
+    };
+  }
+
+  /**
+   * Parse a tracklist into track objects
+   * @param {string} text - Plain text, CSV or TSV tracklist
+   * @returns {Array} Array of { name, artist, duration_ms, albumArt }
+   */
+  parse(text) {
+    const lines = text
+      .split(/\r?\n/)
+      .map(line => line.trim())
+      .filter(line => line && !line.startsWith('#'));
+
+    if (lines.length === 0) {
+      return [];
+    }
+
+    if (lines[0].includes('\t')) {
+      return this.parseDelimited(lines, '\t', true);
+    }
+
+    if (lines[0].includes(',') && this.isHeaderRow(this.splitDelimitedLine(lines[0], ','))) {
+      return this.parseDelimited(lines, ',', false);
+    }
+
+    return lines
+      .map(line => this.parseLine(line))
+      .filter(track => track && track.name);
+  }
+
+  /**
+   * Parse a single free-form line ("Artist - Title (3:45)" or "Title by Artist")
+   * @param {string} line - One line of text
+   * @returns {Object|null} Track object or null if the line is empty
+   */
+  parseLine(line) {
+    let rest = line.replace(NUMBER_PREFIX, '').trim();
+    let durationMs = null;
+
+    // Skip "Artist - 12:51" style lines where the time is the title itself
+    const durationMatch = rest.match(TRAILING_DURATION);
+    const withoutDuration = durationMatch ? rest.slice(0, durationMatch.index).trim() : '';
+    if (withoutDuration && !/[-–—]$/.test(withoutDuration)) {
+      durationMs = this.parseDuration(durationMatch[1]);
+      rest = withoutDuration;
+    }
+
+    if (!rest) {
+      return null;
+    }
+
+    let name = rest;
+    let artist = '';
+
+    const separator = rest.match(ARTIST_TITLE_SEPARATOR);
+    const byMatch = rest.match(/^(.+)\s+by\s+(.+)$/i);
+
+    if (separator) {
+      artist = rest.slice(0, separator.index);
+      name = rest.slice(separator.index + separator[0].length);
+    } else if (byMatch) {
+      name = byMatch[1];
+      artist = byMatch[2];
+    }
+
+    return {
+      name: this.stripQuotes(name),
+      artist: this.stripQuotes(artist),
+      duration_ms: durationMs,
+      albumArt: null
+    };
+  }
+
+  /**
+   * Parse CSV/TSV rows
+   * @param {Array} lines - Non-empty lines
+   * @param {string} delimiter - Column delimiter
+   * @param {boolean} headerOptional - Fall back to artist/title/duration column order
+   */
+  parseDelimited(lines, delimiter, headerOptional) {
+    const firstRow = this.splitDelimitedLine(lines[0], delimiter);
+    const hasHeader = this.isHeaderRow(firstRow);
+
+    if (!hasHeader && !headerOptional) {
+      return [];
+    }
+
+    let columns = { artist: 0, title: 1, duration: 2, durationInMs: false };
+    if (hasHeader) {
+      columns = this.findColumns(firstRow);
+    }
+
+    const rows = hasHeader ? lines.slice(1) : lines;
+
+    return rows
+      .map(line => this.splitDelimitedLine(line, delimiter))
+      .map(cells => {
+        const durationCell = columns.duration >= 0 ? cells[columns.duration] : null;
+        return {
+          name: this.stripQuotes(cells[columns.title] || ''),
+          artist: columns.artist >= 0 ? this.stripQuotes(cells[columns.artist] || '') : '',
+          duration_ms: durationCell
+            ? this.parseDuration(durationCell, columns.durationInMs)
+            : null,
+          albumArt: null
+        };
+      })
+      .filter(track => track.name);
+  }
+
+  /**
+   * Check whether a row of cells looks like a header row
+   */
+  isHeaderRow(cells) {
+    return cells.some(cell => TITLE_COLUMN.test(cell.trim()));
+  }
+
+  /**
+   * Locate title/artist/duration columns from a header row
+   */
+  findColumns(headerCells) {
+    const headers = headerCells.map(cell => cell.trim());
+    const durationIndex = headers.findIndex(h => DURATION_COLUMN.test(h));
+
+    return {
+      title: headers.findIndex(h => TITLE_COLUMN.test(h)),
+      artist: headers.findIndex(h => ARTIST_COLUMN.test(h)),
+      duration: durationIndex,
+      durationInMs: durationIndex >= 0 && /\(ms\)/i.test(headers[durationIndex])
+    };
+  }
+
+  /**
+   * Split one CSV/TSV line into cells, honouring double-quoted fields
+   */
+  splitDelimitedLine(line, delimiter) {
+    const cells = [];
+    let current = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < line.length; i++) {
+      const char = line[i];
+
+      if (char === '"') {
+        if (inQuotes && line[i + 1] === '"') {
+          current += '"';
+          i++;
+        } else {
+          inQuotes = !inQuotes;
+        }
+      } else if (char === delimiter && !inQuotes) {
+        cells.push(current.trim());
+        current = '';
+      } else {
+        current += char;
+      }
+    }
+
+    cells.push(current.trim());
+    return cells;
+  }
+
+  /**
+   * Parse "3:45", "1:02:03", plain seconds, or milliseconds into milliseconds
+   * @param {string} value - Duration text
+   * @param {boolean} isMs - Treat a plain number as milliseconds
+   * @returns {number|null} Duration in milliseconds, or null if unparseable
+   */
+  parseDuration(value, isMs = false) {
+    const trimmed = String(value).trim();
+
+    if (/^\d+(:\d{1,2}){1,2}$/.test(trimmed)) {
+      const seconds = trimmed
+        .split(':')
+        .reduce((total, part) => total * 60 + parseInt(part, 10), 0);
+      return seconds * 1000;
+    }
+
+    if (/^\d+(\.\d+)?$/.test(trimmed)) {
+      const number = parseFloat(trimmed);
+      return Math.round(isMs ? number : number * 1000);
+    }
+
+    return null;
+  }
+
+  /**
+   * Remove surrounding quotes and whitespace
+   */
+  stripQuotes(value) {
+    return value.trim().replace(/^["“'](.*)["”']$/, '$1').trim();
+  }
+}
+
+// Export a singleton instance
+const tracklistService = new TracklistService();
+export default tracklistService;
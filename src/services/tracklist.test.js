@@ -0,0 +1,39 @@
+import tracklistService from './tracklist';
+
+test('parses "Artist - Title (m:ss)" lines', () => {
+  const tracks = tracklistService.parse('1. Fleetwood Mac - Dreams (4:14)\nThe Strokes – 12:51');
+
+  expect(tracks).toEqual([
+    { name: 'Dreams', artist: 'Fleetwood Mac', duration_ms: 254000, albumArt: null },
+    { name: '12:51', artist: 'The Strokes', duration_ms: null, albumArt: null },
+  ]);
+});
+
+test('parses "Title by Artist" lines using the last "by"', () => {
+  const [track] = tracklistService.parse('Stand by Me by Ben E. King [2:58]');
+
+  expect(track).toEqual({ name: 'Stand by Me', artist: 'Ben E. King', duration_ms: 178000, albumArt: null });
+});
+
+test('parses CSV exports with a header row and millisecond durations', () => {
+  const csv = [
+    '"Track Name","Artist Name(s)","Duration (ms)"',
+    '"Harvest Moon","Neil Young","303000"',
+    '"Say ""Hello""","A, B","200000"',
+  ].join('\n');
+
+  expect(tracklistService.parse(csv)).toEqual([
+    { name: 'Harvest Moon', artist: 'Neil Young', duration_ms: 303000, albumArt: null },
+    { name: 'Say "Hello"', artist: 'A, B', duration_ms: 200000, albumArt: null },
+  ]);
+});
+
+test('parses headerless TSV as artist, title, duration', () => {
+  const [track] = tracklistService.parse('Neil Young\tHarvest Moon\t5:03');
+
+  expect(track).toEqual({ name: 'Harvest Moon', artist: 'Neil Young', duration_ms: 303000, albumArt: null });
+});
+
+test('throws when no tracks can be parsed', () => {
+  expect(() => tracklistService.getCollectionFromText('\n# just a comment\n')).toThrow(/No tracks found/);
+});
@@ -3,136 +3,281 @@
  *
  * Features:
  * - Automatic API key rotation when quota is exceeded
+ * - Persistent per-key quota accounting, skipping exhausted keys until the daily reset
+ * - Fallback search providers (Invidious instances) when every key is out of quota
  * - Database caching to avoid repeated searches
  * - In-memory cache for session performance
  */
 
 import supabaseService from './supabase';
+import YouTubeQuotaTracker, { QUOTA_COSTS } from './youtubeQuota';
+import fetchWithRetry, { isAbortError, throwIfAborted } from './http';
 
-const YOUTUBE_API_BASE = 'https://www.googleapis.com/youtube/v3';
-// Public Invidious instances (will try each until one works)
+const API_BASE = process.env.REACT_APP_API_BASE || '/api'; // Serverless functions (see api/)
+// Default public Invidious instances (will try each until one works)
 // Updated list from https://api.invidious.io/instances.json
-const INVIDIOUS_INSTANCES = [
+// Override with REACT_APP_INVIDIOUS_INSTANCES (comma-separated URLs)
+const DEFAULT_INVIDIOUS_INSTANCES = [
   'https://invidious.fdn.fr',
   'https://inv.riverside.rocks',
   'https://invidious.slipfox.xyz',
   'https://invidious.protokolla.fi',
   'https://iv.ggtyler.dev'
 ];
+const INVIDIOUS_TIMEOUT_MS = 5000;
+const INSTANCE_BACKOFF_BASE_MS = 30 * 1000; // First failure benches an instance for 30s
+const INSTANCE_BACKOFF_MAX_MS = 30 * 60 * 1000; // ...doubling up to 30 minutes
+
+const DURATION_TOLERANCE_MS = 15000; // ±15 seconds as per PRD
+const DEFAULT_CONCURRENCY = 4; // Tracks matched in parallel by searchTracks
+const SEARCH_DELAY_MS = 100; // Pause between API searches, per worker
+const DEFAULT_MAX_CANDIDATES = 5; // Ranked candidates kept per track
+const MATCH_TTL_MS = 30 * 24 * 60 * 60 * 1000; // Re-check cached videos still exist after 30 days
+const VIDEOS_PER_REQUEST = 50; // Max ids per videos.list call
+const UNIQUE_VIOLATION = '23505'; // Postgres error code when youtube_cache already has the cache key
+export const LOW_CONFIDENCE_THRESHOLD = 0.6; // Below this, flag the match for review
+const TITLE_BONUS_TERMS = ['official', 'audio', 'music video'];
+const TITLE_PENALTY_TERMS = ['cover', 'remix', 'live', 'karaoke', 'instrumental', 'lyrics'];
+
+// Cache key normalization: suffixes that name the same recording
+const VERSION_WORDS = '(?:\\d{4}\\s+)?(?:digital(?:ly)?\\s+)?remaster(?:ed)?|radio edit|single version|album version|'
+  + 'original mix|mono|stereo|explicit|clean|bonus track|deluxe(?: edition)?|feat\\.?|ft\\.|featuring';
+const VERSION_BRACKET_PATTERN = new RegExp(`\\s*[([][^)\\]]*\\b(?:${VERSION_WORDS})[^)\\]]*[)\\]]`, 'gi');
+const VERSION_DASH_PATTERN = new RegExp(`\\s+-\\s+.*\\b(?:${VERSION_WORDS}).*$`, 'i');
+const FEATURING_PATTERN = /\s*[([]?\b(?:feat\.?|ft\.|featuring)\s+([^)\]]+)[)\]]?/i;
+const ARTIST_SEPARATOR_PATTERN = /\s*(?:,|;|&|\/|\bx\b|\band\b|\bfeat\.?|\bft\.|\bfeaturing\b)\s*/;
 
 class YouTubeService {
-  constructor() {
+  constructor({ maxCandidates = DEFAULT_MAX_CANDIDATES, concurrency = DEFAULT_CONCURRENCY } = {}) {
     this.cache = new Map(); // In-memory cache for YouTube matches
+    this.maxCandidates = maxCandidates; // How many ranked candidates to keep per track
+    this.concurrency = concurrency; // How many tracks searchTracks matches in parallel
     this.currentKeyIndex = 0; // Current API key index
     this.apiKeys = this.loadApiKeys();
+    this.quota = new YouTubeQuotaTracker(this.apiKeys, {
+      syncRemote: process.env.REACT_APP_YOUTUBE_QUOTA_SYNC === 'true'
+    });
+    this.keyIdsRequest = null; // Pending/finished loadKeyIds()
+    this.invidiousInstances = this.loadInvidiousInstances();
+    this.instanceHealth = new Map(); // Invidious instance -> { failures, benchedUntil, lastSuccessAt }
+    this.currentInvidiousInstance = null; // Last instance that answered successfully
+
+    // Search providers, tried in order until one is able to search
+    this.providers = [
+      { name: 'youtube', search: (...args) => this.searchWithYouTubeKeys(...args) },
+      { name: 'invidious', search: (...args) => this.searchWithInvidious(...args) }
+    ];
   }
 
   /**
-   * Load all available YouTube API keys from environment
+   * Load Invidious instance URLs from environment, falling back to the defaults
+   */
+  loadInvidiousInstances() {
+    const configured = (process.env.REACT_APP_INVIDIOUS_INSTANCES || '')
+      .split(',')
+      .map(url => url.trim().replace(/\/+$/, ''))
+      .filter(Boolean);
+
+    return configured.length > 0 ? configured : DEFAULT_INVIDIOUS_INSTANCES;
+  }
+
+  /**
+   * Add a search provider to the chain
+   * A provider is { name, search(trackName, artistName, durationMs, { signal }) } where search
+   * resolves to a match (see rankCandidates) or null for "searched, nothing found",
+   * and throws an error with `providerUnavailable` set when it could not search at all.
+   * Cancellation (an AbortError from `signal`) should be rethrown as is.
+   * @param {Object} provider - The provider
+   * @param {number} position - Index in the chain (defaults to the end)
+   */
+  registerProvider(provider, position = this.providers.length) {
+    this.providers = this.providers.filter(p => p.name !== provider.name);
+    this.providers.splice(position, 0, provider);
+  }
+
+  /**
+   * Load the YouTube API key slots
+   * The keys themselves live on the server (YOUTUBE_API_KEY_1, _2, ...) and never reach
+   * the browser; the client only knows how many there are and asks /api/youtube to use
+   * key number N, so quota tracking and rotation still happen per key.
    */
   loadApiKeys() {
-    const keys = [];
-    for (let i = 1; i <= 10; i++) {
-      const key = process.env[`REACT_APP_YOUTUBE_API_KEY_${i}`];
-      if (key) {
-        keys.push(key);
-      }
-    }
+    const count = parseInt(process.env.REACT_APP_YOUTUBE_KEY_COUNT || '1', 10);
+    const keys = Array.from({ length: Number.isNaN(count) ? 0 : Math.max(0, count) }, (_, i) => String(i + 1));
 
-    // Fallback to old single key format for backward compatibility
-    if (keys.length === 0 && process.env.REACT_APP_YOUTUBE_API_KEY) {
-      keys.push(process.env.REACT_APP_YOUTUBE_API_KEY);
+    console.log(`✓ Using ${keys.length} YouTube API key(s)`);
+    return keys;
+  }
+
+  /**
+   * Ask the server for fingerprints of its keys (once), so quota usage is tracked per
+   * actual key: it survives a key being replaced on the server and doesn't collide with
+   * other deployments sharing the youtube_quota table. Awaited before picking a key, so
+   * keys other visitors exhausted today are skipped from the first request.
+   */
+  loadKeyIds() {
+    if (!this.keyIdsRequest) {
+      this.keyIdsRequest = fetchWithRetry(`${API_BASE}/youtube?endpoint=keys`, {}, { retries: 1 })
+        .then(async response => {
+          if (!response.ok) {
+            throw new Error(`HTTP ${response.status}`);
+          }
+          const { keys } = await response.json();
+          await this.quota.useKeyIds(keys || []);
+        })
+        .catch(error => {
+          console.warn('Could not load YouTube key fingerprints:', error.message);
+        });
     }
+    return this.keyIdsRequest;
+  }
 
-    console.log(`✓ Loaded ${keys.length} YouTube API key(s)`);
-    return keys;
+  /**
+   * Build a YouTube Data API request URL that goes through the /api/youtube proxy
+   * @param {string} endpoint - 'search' or 'videos'
+   * @param {string} keyNumber - Which server-side key to use (from getCurrentApiKey)
+   * @returns {URL} Append the usual API query parameters (minus `key`) to this
+   */
+  youtubeApiUrl(endpoint, keyNumber) {
+    const url = new URL(`${API_BASE}/youtube`, window.location.origin);
+    url.searchParams.append('endpoint', endpoint);
+    url.searchParams.append('keyNumber', keyNumber);
+    return url;
   }
 
   /**
    * Get current API key and rotate if needed
+   * Skips keys that are known to be out of quota for today.
+   * @param {number} cost - Units the next call will use
+   * @returns {string|null} The key number, or null if none has quota left
    */
-  getCurrentApiKey() {
+  getCurrentApiKey(cost = QUOTA_COSTS.videos) {
     if (this.apiKeys.length === 0) {
       return null;
     }
+
+    if (!this.quota.hasQuotaFor(this.currentKeyIndex, cost) && !this.selectAvailableKey(cost)) {
+      return null;
+    }
     return this.apiKeys[this.currentKeyIndex];
   }
 
+  /**
+   * Move to the next key (cyclically) that has quota left for a call
+   * @returns {boolean} Whether such a key exists
+   */
+  selectAvailableKey(cost = QUOTA_COSTS.search) {
+    for (let offset = 0; offset < this.apiKeys.length; offset++) {
+      const index = (this.currentKeyIndex + offset) % this.apiKeys.length;
+      if (this.quota.hasQuotaFor(index, cost)) {
+        if (index !== this.currentKeyIndex) {
+          this.currentKeyIndex = index;
+          console.log(`🔄 Rotated to API key #${index + 1}`);
+        }
+        return true;
+      }
+    }
+    return false;
+  }
+
   /**
    * Rotate to next API key
+   * @param {number} exhaustedIndex - Index of the key that hit its quota. Safe to call from
+   *   parallel searches: a key reported twice is simply marked exhausted again.
+   * @returns {boolean} Whether a key with quota left is available
    */
-  rotateApiKey() {
-    if (this.apiKeys.length <= 1) {
+  rotateApiKey(exhaustedIndex = this.currentKeyIndex) {
+    this.quota.markExhausted(exhaustedIndex);
+
+    if (!this.selectAvailableKey()) {
       console.warn('⚠️ No additional API keys available for rotation');
       return false;
     }
-
-    this.currentKeyIndex = (this.currentKeyIndex + 1) % this.apiKeys.length;
-    console.log(`🔄 Rotated to API key #${this.currentKeyIndex + 1}`);
     return true;
   }
 
+  /**
+   * Quota status for the UI (see YouTubeQuotaTracker.getStatus)
+   */
+  getQuotaStatus() {
+    return this.quota.getStatus();
+  }
+
   /**
    * Search YouTube for a track and return the best match
    * @param {string} trackName - Name of the track
    * @param {string} artistName - Name of the artist
-   * @param {number} durationMs - Track duration in milliseconds
-   * @returns {Object|null} { videoId, title, duration, thumbnailUrl } or null if no match
+   * @param {number|null} durationMs - Track duration in milliseconds (null if unknown)
+   * @param {Object} options - Optional settings
+   * @param {boolean} options.useCache - Read and write the memory/database caches (default true).
+   *   Pass false to get fresh candidates without replacing the cached match.
+   * @param {boolean} options.checkDatabase - Look in the database cache first (default true).
+   *   searchTracks turns this off after doing one batched lookup for the whole list.
+   * @param {string|null} options.isrc - The track's ISRC, when the source provides one
+   * @param {AbortSignal} options.signal - Cancels the search (rejects with an AbortError)
+   * @returns {Object|null} { videoId, title, duration, thumbnailUrl, candidates } or null if no match
    */
-  async searchTrack(trackName, artistName, durationMs) {
+  async searchTrack(trackName, artistName, durationMs, {
+    useCache = true,
+    checkDatabase = true,
+    isrc = null,
+    signal = null
+  } = {}) {
     // Create cache key
-    const cacheKey = `${artistName} - ${trackName}`.toLowerCase();
+    const cacheKey = this.getCacheKey(trackName, artistName);
+
+    if (useCache) {
+      // Check in-memory cache first
+      const memoryCached = this.getMemoryCached(trackName, artistName, isrc);
+      if (memoryCached) {
+        console.log(`💾 Memory cache hit: ${cacheKey}`);
+        return memoryCached;
+      }
 
-    // Check in-memory cache first
-    if (this.cache.has(cacheKey)) {
-      console.log(`💾 Memory cache hit: ${cacheKey}`);
-      return this.cache.get(cacheKey);
-    }
+      // Check database cache
+      const dbCached = checkDatabase && await this.checkDatabaseCache(trackName, artistName, isrc);
+      if (dbCached) {
+        console.log(`🗄️ Database cache hit: ${cacheKey}`);
 
-    // Check database cache
-    const dbCached = await this.checkDatabaseCache(trackName, artistName);
-    if (dbCached) {
-      console.log(`🗄️ Database cache hit: ${cacheKey}`);
-      this.cache.set(cacheKey, dbCached); // Also cache in memory
-      return dbCached;
-    }
+        const deadVideoIds = await this.revalidateMatches([dbCached]);
+        if (deadVideoIds.has(dbCached.videoId)) {
+          return this.rematch(trackName, artistName, durationMs, { isrc, excludeVideoId: dbCached.videoId, signal });
+        }
 
-    const apiKey = this.getCurrentApiKey();
-    if (!apiKey) {
-      console.warn('❌ No YouTube API keys configured');
-      return null;
+        this.rememberMatch(trackName, artistName, isrc, dbCached); // Also cache in memory
+        return dbCached;
+      }
     }
 
-    // Try with current key, rotate on quota error
-    let attempts = 0;
-    const maxAttempts = this.apiKeys.length;
-
-    while (attempts < maxAttempts) {
+    // Walk the provider chain until one is able to search
+    for (const provider of this.providers) {
       try {
-        const result = await this.searchWithYouTube(trackName, artistName, durationMs);
+        const found = await provider.search(trackName, artistName, durationMs, { signal });
+        const result = found && { ...found, verifiedAt: new Date().toISOString() };
+
+        if (result && !useCache) {
+          return result;
+        }
 
         if (result) {
-          this.cache.set(cacheKey, result);
-          console.log(`✓ Matched: ${artistName} - ${trackName} -> ${result.videoId}`);
+          this.rememberMatch(trackName, artistName, isrc, result);
+          console.log(`✓ Matched via ${provider.name}: ${artistName} - ${trackName} -> ${result.videoId}`);
 
           // Save to database cache for future use
-          await this.saveToDatabaseCache(trackName, artistName, durationMs, result);
+          await this.saveToDatabaseCache(trackName, artistName, durationMs, result, isrc);
 
           return result;
         }
 
         return null;
       } catch (error) {
-        if (error.quotaExceeded) {
-          console.warn(`⚠️ Quota exceeded on key #${this.currentKeyIndex + 1}`);
-          if (this.rotateApiKey()) {
-            attempts++;
-            console.log(`Retrying with key #${this.currentKeyIndex + 1}...`);
-            continue;
-          } else {
-            console.error('❌ All API keys exhausted');
-            return null;
-          }
+        if (isAbortError(error)) {
+          throw error;
+        }
+
+        if (error.providerUnavailable) {
+          console.warn(`⚠️ ${provider.name} unavailable (${error.message}), trying next provider...`);
+          continue;
         }
 
         console.error(`Error searching: ${error.message}`);
@@ -140,70 +285,167 @@ class YouTubeService {
       }
     }
 
-    console.error('❌ Failed to match after trying all API keys');
+    console.error('❌ Failed to match: no search provider available');
     return null;
   }
 
+  /**
+   * YouTube Data API provider: search with the current key, rotating on quota errors
+   * @throws {Error} with `providerUnavailable` when no key is configured or all are exhausted
+   */
+  async searchWithYouTubeKeys(trackName, artistName, durationMs, options = {}) {
+    if (this.apiKeys.length === 0) {
+      throw this.providerUnavailableError('No YouTube API keys configured');
+    }
+
+    await this.loadKeyIds();
+
+    // Each quota error exhausts one key, so this ends after at most one try per key
+    while (this.getCurrentApiKey(QUOTA_COSTS.search + QUOTA_COSTS.videos)) {
+      try {
+        return await this.searchWithYouTube(trackName, artistName, durationMs, options);
+      } catch (error) {
+        if (!error.quotaExceeded) {
+          throw error;
+        }
+
+        console.warn(`⚠️ Quota exceeded on key #${error.keyIndex + 1}`);
+        if (!this.rotateApiKey(error.keyIndex)) {
+          break;
+        }
+        console.log(`Retrying with key #${this.currentKeyIndex + 1}...`);
+      }
+    }
+
+    throw this.providerUnavailableError('All API keys exhausted for today');
+  }
+
+  /**
+   * Build an error that tells searchTrack to fall through to the next provider
+   */
+  providerUnavailableError(message) {
+    const error = new Error(message);
+    error.providerUnavailable = true;
+    return error;
+  }
+
   /**
    * Search using Invidious API (no quota limits)
+   * Tries the last working instance first, skips instances that recently failed.
+   * @throws {Error} with `providerUnavailable` when no instance answered
    */
-  async searchWithInvidious(trackName, artistName, durationMs) {
-    const query = `${artistName} - ${trackName} official audio`;
+  async searchWithInvidious(trackName, artistName, durationMs, { signal = null } = {}) {
+    const query = this.buildSearchQuery(trackName, artistName);
 
-    for (let i = 0; i < INVIDIOUS_INSTANCES.length; i++) {
+    for (const instance of this.getInvidiousInstanceOrder()) {
       try {
-        const instance = INVIDIOUS_INSTANCES[i];
         const searchUrl = `${instance}/api/v1/search?q=${encodeURIComponent(query)}&type=video`;
 
-        const response = await fetch(searchUrl, { signal: AbortSignal.timeout(5000) });
+        // No retries here - the next instance is the retry
+        const response = await fetchWithRetry(searchUrl, { signal }, { retries: 0, timeoutMs: INVIDIOUS_TIMEOUT_MS });
 
         if (!response.ok) {
-          console.warn(`Invidious instance ${instance} failed, trying next...`);
-          continue;
+          throw new Error(`HTTP ${response.status}`);
         }
 
         const results = await response.json();
+        this.markInstanceHealthy(instance);
 
-        if (!results || results.length === 0) {
+        if (!Array.isArray(results) || results.length === 0) {
           console.warn(`No Invidious results for: ${artistName} - ${trackName}`);
           return null;
         }
 
         // Filter music videos and find best match
-        const bestMatch = this.findBestMatchInvidious(results, durationMs, trackName, artistName);
-
-        if (bestMatch) {
-          this.currentInvidiousInstance = instance; // Remember working instance
-          return bestMatch;
+        return this.findBestMatchInvidious(
+          results.filter(result => !result.type || result.type === 'video'),
+          durationMs,
+          trackName,
+          artistName
+        );
+      } catch (error) {
+        if (isAbortError(error)) {
+          throw error;
         }
 
-        return null;
-      } catch (error) {
-        console.warn(`Invidious instance failed: ${error.message}`);
-        continue;
+        console.warn(`Invidious instance ${instance} failed (${error.message}), trying next...`);
+        this.markInstanceFailed(instance);
       }
     }
 
-    console.error('All Invidious instances failed');
-    return null;
+    throw this.providerUnavailableError('All Invidious instances failed');
+  }
+
+  /**
+   * Order Invidious instances: remembered working instance first, then healthy
+   * ones, then benched ones (soonest back first) as a last resort
+   */
+  getInvidiousInstanceOrder() {
+    const now = Date.now();
+    const benchedUntil = (instance) => this.instanceHealth.get(instance)?.benchedUntil || 0;
+
+    const healthy = this.invidiousInstances.filter(instance => benchedUntil(instance) <= now);
+    const benched = this.invidiousInstances
+      .filter(instance => benchedUntil(instance) > now)
+      .sort((a, b) => benchedUntil(a) - benchedUntil(b));
+
+    if (this.currentInvidiousInstance && healthy.includes(this.currentInvidiousInstance)) {
+      healthy.splice(healthy.indexOf(this.currentInvidiousInstance), 1);
+      healthy.unshift(this.currentInvidiousInstance);
+    }
+
+    return [...healthy, ...benched];
+  }
+
+  /**
+   * Record a successful Invidious response and remember the instance
+   */
+  markInstanceHealthy(instance) {
+    this.instanceHealth.set(instance, { failures: 0, benchedUntil: 0, lastSuccessAt: Date.now() });
+    this.currentInvidiousInstance = instance; // Remember working instance
+  }
+
+  /**
+   * Record an Invidious failure and bench the instance with exponential backoff
+   */
+  markInstanceFailed(instance) {
+    const health = this.instanceHealth.get(instance) || { failures: 0, lastSuccessAt: null };
+    const failures = health.failures + 1;
+    const backoff = Math.min(INSTANCE_BACKOFF_BASE_MS * 2 ** (failures - 1), INSTANCE_BACKOFF_MAX_MS);
+
+    this.instanceHealth.set(instance, { ...health, failures, benchedUntil: Date.now() + backoff });
+
+    if (this.currentInvidiousInstance === instance) {
+      this.currentInvidiousInstance = null;
+    }
+  }
+
+  /**
+   * Count a call against its key's quota (YouTube doesn't charge quotaExceeded errors)
+   */
+  recordQuotaUsage(keyIndex, cost, response) {
+    if (response.status !== 403) {
+      this.quota.recordUsage(keyIndex, cost);
+    }
   }
 
   /**
    * Search using YouTube API (has quota limits)
    */
-  async searchWithYouTube(trackName, artistName, durationMs) {
-    const apiKey = this.getCurrentApiKey();
-    const query = `${artistName} - ${trackName} official audio`;
+  async searchWithYouTube(trackName, artistName, durationMs, { signal = null } = {}) {
+    const apiKey = this.getCurrentApiKey(QUOTA_COSTS.search + QUOTA_COSTS.videos);
+    const keyIndex = this.currentKeyIndex;
+    const query = this.buildSearchQuery(trackName, artistName);
 
-    const searchUrl = new URL(`${YOUTUBE_API_BASE}/search`);
+    const searchUrl = this.youtubeApiUrl('search', apiKey);
     searchUrl.searchParams.append('part', 'snippet');
     searchUrl.searchParams.append('q', query);
     searchUrl.searchParams.append('type', 'video');
     searchUrl.searchParams.append('videoCategoryId', '10');
-    searchUrl.searchParams.append('maxResults', '5');
-    searchUrl.searchParams.append('key', apiKey);
+    searchUrl.searchParams.append('maxResults', String(Math.max(5, this.maxCandidates)));
 
-    const searchResponse = await fetch(searchUrl);
+    const searchResponse = await fetchWithRetry(searchUrl, { signal });
+    this.recordQuotaUsage(keyIndex, QUOTA_COSTS.search, searchResponse);
 
     if (!searchResponse.ok) {
       const errorText = await searchResponse.text();
@@ -212,6 +454,7 @@ class YouTubeService {
         if (errorData.error?.errors?.[0]?.reason === 'quotaExceeded') {
           const error = new Error('Quota exceeded');
           error.quotaExceeded = true;
+          error.keyIndex = keyIndex;
           throw error;
         }
       } catch (e) {
@@ -228,12 +471,12 @@ class YouTubeService {
 
     const videoIds = searchData.items.map(item => item.id.videoId).join(',');
 
-    const detailsUrl = new URL(`${YOUTUBE_API_BASE}/videos`);
+    const detailsUrl = this.youtubeApiUrl('videos', apiKey);
     detailsUrl.searchParams.append('part', 'contentDetails,snippet');
     detailsUrl.searchParams.append('id', videoIds);
-    detailsUrl.searchParams.append('key', apiKey);
 
-    const detailsResponse = await fetch(detailsUrl);
+    const detailsResponse = await fetchWithRetry(detailsUrl, { signal });
+    this.recordQuotaUsage(keyIndex, QUOTA_COSTS.videos, detailsResponse);
 
     if (!detailsResponse.ok) {
       throw new Error(`YouTube video details error: ${detailsResponse.status}`);
@@ -243,125 +486,132 @@ class YouTubeService {
     return this.findBestMatch(detailsData.items, durationMs, trackName, artistName);
   }
 
+  /**
+   * Build the search query for a track, leaving out a missing artist
+   */
+  buildSearchQuery(trackName, artistName) {
+    const base = artistName ? `${artistName} - ${trackName}` : trackName;
+    return `${base} official audio`;
+  }
+
   /**
    * Find best match from Invidious results
+   * @returns {Object|null} Best match (with score, breakdown and ranked `candidates`) or null
    */
   findBestMatchInvidious(videos, targetDurationMs, trackName, artistName) {
-    const DURATION_TOLERANCE_MS = 15000; // ±15 seconds
-
-    let bestMatch = null;
-    let bestScore = 0;
-
-    for (const video of videos) {
-      const videoDurationMs = video.lengthSeconds * 1000;
-      const durationDiff = Math.abs(videoDurationMs - targetDurationMs);
-
-      if (durationDiff > DURATION_TOLERANCE_MS) {
-        continue;
-      }
-
-      let score = 100 - (durationDiff / DURATION_TOLERANCE_MS) * 50;
-
-      const title = video.title.toLowerCase();
-      const searchTerms = [
-        trackName.toLowerCase(),
-        artistName.toLowerCase(),
-        'official',
-        'audio',
-        'music video'
-      ];
-
-      searchTerms.forEach(term => {
-        if (title.includes(term)) {
-          score += 10;
-        }
-      });
-
-      const badTerms = ['cover', 'remix', 'live', 'karaoke', 'instrumental', 'lyrics'];
-      badTerms.forEach(term => {
-        if (title.includes(term)) {
-          score -= 20;
-        }
-      });
-
-      if (score > bestScore) {
-        bestScore = score;
-        bestMatch = {
-          videoId: video.videoId,
-          title: video.title,
-          duration: videoDurationMs,
-          thumbnailUrl: `https://i.ytimg.com/vi/${video.videoId}/mqdefault.jpg`,
-          channelTitle: video.author
-        };
-      }
-    }
-
-    return bestMatch;
+    const normalized = videos.map(video => ({
+      videoId: video.videoId,
+      title: video.title,
+      duration: video.lengthSeconds * 1000,
+      thumbnailUrl: `https://i.ytimg.com/vi/${video.videoId}/mqdefault.jpg`,
+      channelTitle: video.author
+    }));
+
+    return this.rankCandidates(normalized, targetDurationMs, trackName, artistName);
   }
 
   /**
    * Find the best matching video based on duration and title (YouTube API format)
    * @param {Array} videos - Array of YouTube video objects
-   * @param {number} targetDurationMs - Target duration in milliseconds
+   * @param {number|null} targetDurationMs - Target duration in milliseconds (null if unknown)
    * @param {string} trackName - Track name for title matching
    * @param {string} artistName - Artist name for title matching
-   * @returns {Object|null} Best match or null
+   * @returns {Object|null} Best match (with score, breakdown and ranked `candidates`) or null
    */
   findBestMatch(videos, targetDurationMs, trackName, artistName) {
-    const DURATION_TOLERANCE_MS = 15000; // ±15 seconds as per PRD
-
-    let bestMatch = null;
-    let bestScore = 0;
+    const normalized = videos.map(video => ({
+      videoId: video.id,
+      title: video.snippet.title,
+      duration: this.parseISO8601Duration(video.contentDetails.duration),
+      thumbnailUrl: video.snippet.thumbnails?.medium?.url || video.snippet.thumbnails?.default?.url,
+      channelTitle: video.snippet.channelTitle
+    }));
+
+    return this.rankCandidates(normalized, targetDurationMs, trackName, artistName);
+  }
 
-    for (const video of videos) {
-      const videoDurationMs = this.parseISO8601Duration(video.contentDetails.duration);
-      const durationDiff = Math.abs(videoDurationMs - targetDurationMs);
+  /**
+   * Score every video, drop the ones that can't be the track, and return the
+   * best one with the top N runners-up attached as `candidates`
+   * @param {Array} videos - Normalized videos { videoId, title, duration, thumbnailUrl, channelTitle }
+   * @returns {Object|null} Best match with candidates, or null
+   */
+  rankCandidates(videos, targetDurationMs, trackName, artistName) {
+    const candidates = videos
+      .map(video => ({ ...video, ...this.scoreVideo(video, targetDurationMs, trackName, artistName) }))
+      .filter(candidate => candidate.score > 0)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, this.maxCandidates);
+
+    if (candidates.length === 0) {
+      return null;
+    }
 
-      // Skip if duration is way off
-      if (durationDiff > DURATION_TOLERANCE_MS) {
-        continue;
-      }
+    return { ...candidates[0], candidates };
+  }
 
-      // Calculate match score
-      let score = 100 - (durationDiff / DURATION_TOLERANCE_MS) * 50; // Duration score (50-100)
-
-      // Bonus for title match quality
-      const title = video.snippet.title.toLowerCase();
-      const searchTerms = [
-        trackName.toLowerCase(),
-        artistName.toLowerCase(),
-        'official',
-        'audio',
-        'music video'
-      ];
-
-      searchTerms.forEach(term => {
-        if (title.includes(term)) {
-          score += 10;
-        }
-      });
+  /**
+   * Score how likely a video is to be the track
+   * Duration score is 50-100 (or a flat 50 when the track has no known duration,
+   * so only the title decides), +10 per title term hit, -20 per penalty term.
+   * @param {Object} video - Normalized video { title, duration }
+   * @returns {Object} { score, confidence, breakdown } (score 0 if outside duration tolerance)
+   */
+  scoreVideo(video, targetDurationMs, trackName, artistName) {
+    const hasDuration = targetDurationMs > 0;
+    const durationDelta = hasDuration ? Math.abs(video.duration - targetDurationMs) : null;
 
-      // Penalty for likely covers/remixes/live versions
-      const badTerms = ['cover', 'remix', 'live', 'karaoke', 'instrumental', 'lyrics'];
-      badTerms.forEach(term => {
-        if (title.includes(term)) {
-          score -= 20;
-        }
-      });
+    // Skip if duration is way off
+    if (hasDuration && durationDelta > DURATION_TOLERANCE_MS) {
+      return {
+        score: 0,
+        confidence: 0,
+        breakdown: { durationDeltaMs: durationDelta, termHits: [], penalties: [] }
+      };
+    }
 
-      if (score > bestScore) {
-        bestScore = score;
-        bestMatch = {
-          videoId: video.id,
-          title: video.snippet.title,
-          duration: videoDurationMs,
-          thumbnailUrl: video.snippet.thumbnails?.medium?.url || video.snippet.thumbnails?.default?.url,
-          channelTitle: video.snippet.channelTitle
-        };
+    let score = hasDuration ? 100 - (durationDelta / DURATION_TOLERANCE_MS) * 50 : 50;
+
+    // Bonus for title match quality
+    const title = video.title.toLowerCase();
+    const trackTerm = trackName.toLowerCase();
+    const artistTerm = artistName.toLowerCase();
+    const termHits = [trackTerm, artistTerm, ...TITLE_BONUS_TERMS]
+      .filter(term => term && title.includes(term));
+    score += termHits.length * 10;
+
+    // Penalty for likely covers/remixes/live versions
+    const penalties = TITLE_PENALTY_TERMS.filter(term => title.includes(term));
+    score -= penalties.length * 20;
+
+    // Confidence (0-1): half duration fit, half track/artist title fit; any
+    // cover/live/remix-style term drops it by half so the match gets reviewed
+    const durationFit = hasDuration ? 1 - durationDelta / DURATION_TOLERANCE_MS : 0.5;
+    const nameTerms = [trackTerm, artistTerm].filter(Boolean);
+    const nameFit = nameTerms.length
+      ? nameTerms.filter(term => title.includes(term)).length / nameTerms.length
+      : 0;
+    const confidence = Math.max(0, Math.min(1, 0.5 * durationFit + 0.5 * nameFit - 0.5 * penalties.length));
+
+    return {
+      score: Math.round(score * 10) / 10,
+      confidence: Math.round(confidence * 100) / 100,
+      breakdown: {
+        durationDeltaMs: durationDelta,
+        termHits,
+        penalties
       }
-    }
+    };
+  }
 
-    return bestMatch;
+  /**
+   * Whether a track's match is shaky enough to warn about
+   * @param {Object} track - Track with youtubeConfidence
+   */
+  isLowConfidence(track) {
+    return !!track.youtubeId
+      && typeof track.youtubeConfidence === 'number'
+      && track.youtubeConfidence < LOW_CONFIDENCE_THRESHOLD;
   }
 
   /**
@@ -385,43 +635,498 @@ class YouTubeService {
 
   /**
    * Batch search multiple tracks
+   * Memory cache hits are resolved first, then the database cache is checked with a
+   * single batched query, and the remaining tracks are matched by a pool of workers.
    * @param {Array} tracks - Array of track objects with name, artist, duration_ms
-   * @param {Function} onProgress - Callback for progress updates (current, total)
-   * @returns {Array} Array of tracks with youtubeId added
+   * @param {Function} onProgress - Callback for progress updates (completed, total)
+   * @param {Object} options - Optional settings
+   * @param {number} options.concurrency - How many tracks to search in parallel
+   * @param {AbortSignal} options.signal - Stops matching; the promise rejects with an AbortError
+   * @returns {Array} Array of tracks with youtubeId added, in the original order
    */
-  async searchTracks(tracks, onProgress = null) {
-    const results = [];
-
-    for (let i = 0; i < tracks.length; i++) {
-      const track = tracks[i];
+  async searchTracks(tracks, onProgress = null, { concurrency = this.concurrency, signal = null } = {}) {
+    const results = new Array(tracks.length);
+    let completed = 0;
 
+    const finish = (index, match) => {
+      results[index] = this.applyMatch(tracks[index], match);
+      completed++;
       if (onProgress) {
-        onProgress(i + 1, tracks.length);
+        onProgress(completed, tracks.length);
+      }
+    };
+
+    // Step 1: memory cache
+    const pending = [];
+    tracks.forEach((track, index) => {
+      const memoryCached = this.getMemoryCached(track.name, track.artist, track.isrc);
+      if (memoryCached) {
+        finish(index, memoryCached);
+      } else {
+        pending.push(index);
+      }
+    });
+
+    // Step 2: one database lookup for everything else
+    const dbMatches = await this.checkDatabaseCacheBatch(pending.map(index => tracks[index]));
+    const dbHits = new Map(); // index -> cached match
+    pending.forEach(index => {
+      const track = tracks[index];
+      const dbCached = dbMatches.get(this.getIsrcKey(track.isrc))
+        || dbMatches.get(this.getCacheKey(track.name, track.artist));
+
+      if (dbCached) {
+        dbHits.set(index, dbCached);
       }
+    });
 
-      const match = await this.searchTrack(
-        track.name,
-        track.artist,
-        track.duration_ms
-      );
-
-      results.push({
-        ...track,
-        youtubeId: match?.videoId || null,
-        youtubeTitle: match?.title || null,
-        youtubeThumbnail: match?.thumbnailUrl || null,
-        matched: !!match
-      });
+    // Cached videos past their TTL get one batched availability check
+    const deadVideoIds = await this.revalidateMatches([...dbHits.values()]);
+    const rematchIndexes = new Set();
+
+    const toSearch = pending.filter(index => {
+      const track = tracks[index];
+      const dbCached = dbHits.get(index);
+
+      if (!dbCached) return true;
 
-      // Rate limiting: wait a bit between requests to avoid hitting quota too hard
-      if (i < tracks.length - 1) {
-        await this.sleep(100); // 100ms delay between requests
+      if (deadVideoIds.has(dbCached.videoId)) {
+        rematchIndexes.add(index);
+        return true;
       }
+
+      this.rememberMatch(track.name, track.artist, track.isrc, dbCached);
+      finish(index, dbCached);
+      return false;
+    });
+
+    if (toSearch.length > 0) {
+      console.log(`🔎 Searching ${toSearch.length} track(s), ${concurrency} at a time`);
     }
 
+    // Step 3: worker pool for the API searches
+    await this.runPool(toSearch, concurrency, async (index) => {
+      const track = tracks[index];
+      const match = rematchIndexes.has(index)
+        ? await this.rematch(track.name, track.artist, track.duration_ms, {
+          isrc: track.isrc || null,
+          excludeVideoId: dbHits.get(index).videoId,
+          signal
+        })
+        : await this.searchTrack(track.name, track.artist, track.duration_ms, {
+          checkDatabase: false,
+          isrc: track.isrc || null,
+          signal
+        });
+      finish(index, match);
+
+      // Rate limiting: each worker waits a bit between requests to avoid hitting quota too hard
+      await this.sleep(SEARCH_DELAY_MS);
+    }, signal);
+
+    throwIfAborted(signal);
     return results;
   }
 
+  /**
+   * Run an async worker over items with at most `concurrency` running at once
+   * @param {Array} items - Items to process
+   * @param {number} concurrency - Maximum parallel workers
+   * @param {Function} worker - async (item) => void
+   * @param {AbortSignal} signal - Stops handing out new items once aborted
+   */
+  async runPool(items, concurrency, worker, signal = null) {
+    let nextIndex = 0;
+    const workerCount = Math.max(1, Math.min(concurrency, items.length));
+
+    const runners = Array.from({ length: workerCount }, async () => {
+      while (nextIndex < items.length && !signal?.aborted) {
+        const item = items[nextIndex++];
+        await worker(item);
+      }
+    });
+
+    await Promise.all(runners);
+  }
+
+  /**
+   * Copy a YouTube match onto a track object in the format saved with mixtapes
+   * @param {Object} track - Track object (name, artist, duration_ms, ...)
+   * @param {Object|null} match - Result from searchTrack / getVideoDetails
+   * @param {Object} extra - Extra fields to set (e.g. { manualMatch: true })
+   * @returns {Object} Track with youtube* fields set
+   */
+  applyMatch(track, match, extra = {}) {
+    return {
+      ...track,
+      youtubeId: match?.videoId || null,
+      youtubeTitle: match?.title || null,
+      youtubeThumbnail: match?.thumbnailUrl || null,
+      youtubeChannel: match?.channelTitle || null,
+      youtubeConfidence: typeof match?.confidence === 'number' ? match.confidence : null,
+      youtubeMatchBreakdown: match?.breakdown || null,
+      youtubeCandidates: match?.candidates || track.youtubeCandidates || null,
+      youtubeVerifiedAt: match?.verifiedAt || null,
+      matched: !!match,
+      ...extra
+    };
+  }
+
+  /**
+   * Extract a video ID from a YouTube URL (watch, youtu.be, embed, shorts, music) or bare ID
+   * @param {string} url - YouTube URL or video ID
+   * @returns {string|null} The 11-character video ID or null
+   */
+  extractVideoId(url) {
+    const trimmed = url.trim();
+
+    if (/^[a-zA-Z0-9_-]{11}$/.test(trimmed)) {
+      return trimmed;
+    }
+
+    const match = trimmed.match(
+      /(?:youtube\.com\/(?:watch\?(?:.*&)?v=|embed\/|shorts\/|live\/|v\/)|youtu\.be\/)([a-zA-Z0-9_-]{11})/
+    );
+    return match ? match[1] : null;
+  }
+
+  /**
+   * Look up a single video's title, channel and duration (1 quota unit)
+   * Falls back to a bare match with just the thumbnail if the API is unavailable.
+   * @param {string} videoId - YouTube video ID
+   * @returns {Object} { videoId, title, duration, thumbnailUrl, channelTitle }
+   */
+  async getVideoDetails(videoId) {
+    const fallback = {
+      videoId,
+      title: null,
+      duration: null,
+      thumbnailUrl: `https://i.ytimg.com/vi/${videoId}/mqdefault.jpg`,
+      channelTitle: null
+    };
+
+    await this.loadKeyIds();
+    const apiKey = this.getCurrentApiKey(QUOTA_COSTS.videos);
+    if (!apiKey) {
+      return fallback;
+    }
+
+    try {
+      const keyIndex = this.currentKeyIndex;
+      const detailsUrl = this.youtubeApiUrl('videos', apiKey);
+      detailsUrl.searchParams.append('part', 'contentDetails,snippet');
+      detailsUrl.searchParams.append('id', videoId);
+
+      const response = await fetchWithRetry(detailsUrl);
+      this.recordQuotaUsage(keyIndex, QUOTA_COSTS.videos, response);
+      if (!response.ok) {
+        throw new Error(`YouTube video details error: ${response.status}`);
+      }
+
+      const data = await response.json();
+      const video = data.items?.[0];
+      if (!video) {
+        throw new Error('Video not found. It may be private or removed.');
+      }
+
+      return {
+        videoId: video.id,
+        title: video.snippet.title,
+        duration: this.parseISO8601Duration(video.contentDetails.duration),
+        thumbnailUrl: video.snippet.thumbnails?.medium?.url || fallback.thumbnailUrl,
+        channelTitle: video.snippet.channelTitle,
+        verifiedAt: new Date().toISOString()
+      };
+    } catch (error) {
+      if (error.message.startsWith('Video not found')) {
+        throw error;
+      }
+      console.warn(`Could not load video details for ${videoId}: ${error.message}`);
+      return fallback;
+    }
+  }
+
+  /**
+   * Remember a creator's manual match choice for the rest of this session
+   * Only the memory cache is updated: the pick is saved with the mixtape, and the shared
+   * youtube_cache row is only replaced when its video is gone (see replaceCachedMatch).
+   */
+  saveMatchOverride(trackName, artistName, durationMs, match, isrc = null) {
+    // A creator picked this video by hand, so trust it fully
+    this.rememberMatch(trackName, artistName, isrc, { ...match, confidence: 1 });
+    console.log(`✏️ Using manual match: ${artistName} - ${trackName} -> ${match.videoId}`);
+  }
+
+  /**
+   * Replace the cached match for a track whose video is gone, in memory and in youtube_cache
+   * replace_youtube_match only overwrites the row if it still holds replacesVideoId and is
+   * past the re-check window (visitors can't update youtube_cache directly).
+   * @param {string} replacesVideoId - The dead video the new match replaces
+   * @returns {boolean} Whether the database row now holds the new match
+   */
+  async replaceCachedMatch(trackName, artistName, durationMs, match, isrc, replacesVideoId) {
+    this.rememberMatch(trackName, artistName, isrc, match);
+
+    try {
+      const { data, error } = await supabaseService.client.rpc('replace_youtube_match', {
+        p_match: this.toCacheRow(trackName, artistName, durationMs, match, isrc),
+        p_replaces: replacesVideoId
+      });
+
+      if (error) {
+        throw error;
+      }
+
+      return data === true;
+    } catch (error) {
+      console.warn('Failed to update database cache:', error.message);
+      return false;
+    }
+  }
+
+  /**
+   * Whether a match was last verified longer ago than the cache TTL
+   * @param {string|null} verifiedAt - ISO timestamp (match.verifiedAt or track.youtubeVerifiedAt)
+   */
+  isStale(verifiedAt) {
+    const verifiedTime = verifiedAt ? new Date(verifiedAt).getTime() : NaN;
+    return Number.isNaN(verifiedTime) || Date.now() - verifiedTime > MATCH_TTL_MS;
+  }
+
+  /**
+   * Check whether videos still exist and can be embedded (1 quota unit per 50 videos)
+   * @param {Array} videoIds - YouTube video IDs
+   * @returns {Map} videoId -> true (playable) / false (removed, private or not embeddable).
+   *   Videos that couldn't be checked (no API key available) are left out.
+   */
+  async checkVideosAvailable(videoIds) {
+    const availability = new Map();
+    const uniqueIds = [...new Set(videoIds.filter(Boolean))];
+    await this.loadKeyIds();
+
+    for (let start = 0; start < uniqueIds.length; start += VIDEOS_PER_REQUEST) {
+      const batch = uniqueIds.slice(start, start + VIDEOS_PER_REQUEST);
+      const apiKey = this.getCurrentApiKey(QUOTA_COSTS.videos);
+      if (!apiKey) {
+        break;
+      }
+
+      try {
+        const keyIndex = this.currentKeyIndex;
+        const statusUrl = this.youtubeApiUrl('videos', apiKey);
+        statusUrl.searchParams.append('part', 'status');
+        statusUrl.searchParams.append('id', batch.join(','));
+
+        const response = await fetchWithRetry(statusUrl);
+        this.recordQuotaUsage(keyIndex, QUOTA_COSTS.videos, response);
+        if (!response.ok) {
+          throw new Error(`YouTube video status error: ${response.status}`);
+        }
+
+        const data = await response.json();
+        const found = new Map((data.items || []).map(item => [item.id, item.status]));
+
+        batch.forEach(videoId => {
+          const status = found.get(videoId);
+          availability.set(videoId, !!status
+            && status.privacyStatus !== 'private'
+            && status.uploadStatus !== 'rejected'
+            && status.uploadStatus !== 'deleted'
+            && status.embeddable !== false);
+        });
+      } catch (error) {
+        console.warn('Could not check video availability:', error.message);
+        break;
+      }
+    }
+
+    return availability;
+  }
+
+  /**
+   * Re-check cached matches that are past their TTL
+   * Still-playable videos get a fresh verified_at in youtube_cache.
+   * @param {Array} matches - Match objects with videoId and verifiedAt
+   * @returns {Set} Video IDs that are gone and need re-matching
+   */
+  async revalidateMatches(matches) {
+    const staleIds = matches
+      .filter(match => match?.videoId && this.isStale(match.verifiedAt))
+      .map(match => match.videoId);
+
+    if (staleIds.length === 0) {
+      return new Set();
+    }
+
+    const availability = await this.checkVideosAvailable(staleIds);
+    const aliveIds = [...availability].filter(([, alive]) => alive).map(([videoId]) => videoId);
+    const deadIds = [...availability].filter(([, alive]) => !alive).map(([videoId]) => videoId);
+
+    if (aliveIds.length > 0) {
+      const verifiedAt = new Date().toISOString();
+      matches.forEach(match => {
+        if (aliveIds.includes(match?.videoId)) {
+          match.verifiedAt = verifiedAt;
+        }
+      });
+
+      try {
+        const { error } = await supabaseService.client.rpc('refresh_youtube_matches', { p_video_ids: aliveIds });
+        if (error) {
+          throw error;
+        }
+      } catch (error) {
+        console.warn('Failed to refresh cache timestamps:', error.message);
+      }
+    }
+
+    if (deadIds.length > 0) {
+      console.log(`🪦 ${deadIds.length} cached video(s) no longer available`);
+    }
+
+    return new Set(deadIds);
+  }
+
+  /**
+   * Search again for a track whose video is gone and replace the cached match
+   * @param {Object} options - { isrc, excludeVideoId, signal } - excludeVideoId is the dead video
+   * @returns {Object|null} The new match, or null if nothing else was found
+   */
+  async rematch(trackName, artistName, durationMs, { isrc = null, excludeVideoId = null, signal = null } = {}) {
+    const result = await this.searchTrack(trackName, artistName, durationMs, { useCache: false, isrc, signal });
+    const candidates = (result?.candidates || []).filter(candidate => candidate.videoId !== excludeVideoId);
+    const best = result && result.videoId !== excludeVideoId ? result : candidates[0];
+
+    if (!best) {
+      this.cache.delete(this.getCacheKey(trackName, artistName));
+      this.cache.delete(this.getIsrcKey(isrc));
+      return null;
+    }
+
+    const match = { ...best, verifiedAt: result.verifiedAt, candidates };
+
+    await this.replaceCachedMatch(trackName, artistName, durationMs, match, isrc, excludeVideoId);
+    console.log(`♻️ Re-matched ${artistName} - ${trackName}: ${excludeVideoId} -> ${match.videoId}`);
+    return match;
+  }
+
+  /**
+   * Re-match a track whose video failed to play
+   * @param {Object} track - Track with youtube* fields
+   * @returns {Object} The track with a new match, or with no match if none was found
+   */
+  async rematchTrack(track) {
+    const match = await this.rematch(track.name, track.artist, track.duration_ms, {
+      isrc: track.isrc || null,
+      excludeVideoId: track.youtubeId
+    });
+    return this.applyMatch(track, match, { youtubeCandidates: match?.candidates || null });
+  }
+
+  /**
+   * Revalidate a saved mixtape's tracks: check stale videos and re-match any that are gone
+   * @param {Array} tracks - Tracks with youtube* fields
+   * @returns {Array} The same array if nothing changed, otherwise an updated copy
+   */
+  async revalidateTracks(tracks) {
+    const matches = tracks
+      .filter(track => track.youtubeId)
+      .map(track => ({ videoId: track.youtubeId, verifiedAt: track.youtubeVerifiedAt }));
+
+    const deadVideoIds = await this.revalidateMatches(matches);
+    if (deadVideoIds.size === 0) {
+      return tracks;
+    }
+
+    const updated = [...tracks];
+    const deadIndexes = tracks
+      .map((track, index) => (deadVideoIds.has(track.youtubeId) ? index : -1))
+      .filter(index => index !== -1);
+
+    await this.runPool(deadIndexes, this.concurrency, async (index) => {
+      updated[index] = await this.rematchTrack(tracks[index]);
+    });
+
+    return updated;
+  }
+
+  /**
+   * Build the normalized cache key for a track, used for both the memory cache and
+   * the youtube_cache.cache_key column. Remaster/edit suffixes, accents, punctuation
+   * and multi-artist ordering don't change the key, and "(feat. X)" in the title
+   * counts the same as X in the artist list.
+   */
+  getCacheKey(trackName, artistName) {
+    const featured = (trackName || '').match(FEATURING_PATTERN);
+    const artists = this.normalizeArtistName([artistName, featured?.[1]].filter(Boolean).join(', '));
+    return `${artists}|${this.normalizeTrackName(trackName)}`;
+  }
+
+  /**
+   * Cache key for an ISRC (identifies a specific recording across services)
+   */
+  getIsrcKey(isrc) {
+    return isrc ? `isrc:${isrc.trim().toUpperCase()}` : null;
+  }
+
+  /**
+   * Lowercase, strip accents and unify quotes
+   */
+  foldText(text) {
+    return (text || '')
+      .normalize('NFKD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .toLowerCase()
+      .replace(/[‘’`´]/g, "'");
+  }
+
+  /**
+   * Normalize a track title: drop remaster/edit/version/feat. suffixes and punctuation
+   */
+  normalizeTrackName(trackName) {
+    return this.foldText(trackName)
+      .replace(VERSION_BRACKET_PATTERN, ' ')
+      .replace(VERSION_DASH_PATTERN, ' ')
+      .replace(FEATURING_PATTERN, ' ')
+      .replace(/&/g, ' and ')
+      .replace(/[^\p{L}\p{N}]+/gu, ' ')
+      .trim();
+  }
+
+  /**
+   * Normalize an artist string: split collaborators, fold each name, sort them
+   */
+  normalizeArtistName(artistName) {
+    const names = this.foldText(artistName)
+      .split(ARTIST_SEPARATOR_PATTERN)
+      .map(name => name.replace(/[^\p{L}\p{N}]+/gu, ' ').trim())
+      .filter(Boolean);
+
+    return [...new Set(names)].sort().join(',');
+  }
+
+  /**
+   * Look a track up in the memory cache by ISRC, then by normalized name
+   */
+  getMemoryCached(trackName, artistName, isrc) {
+    const isrcKey = this.getIsrcKey(isrc);
+    if (isrcKey && this.cache.has(isrcKey)) {
+      return this.cache.get(isrcKey);
+    }
+    return this.cache.get(this.getCacheKey(trackName, artistName)) || null;
+  }
+
+  /**
+   * Store a match in the memory cache under every key it can be found by
+   */
+  rememberMatch(trackName, artistName, isrc, match) {
+    this.cache.set(this.getCacheKey(trackName, artistName), match);
+    const isrcKey = this.getIsrcKey(isrc);
+    if (isrcKey) {
+      this.cache.set(isrcKey, match);
+    }
+  }
+
   /**
    * Helper to sleep for a given duration
    * @param {number} ms - Milliseconds to sleep
@@ -432,58 +1137,154 @@ class YouTubeService {
 
   /**
    * Check database cache for existing match
+   * Looks up by ISRC first, then by normalized cache key, then falls back to a
+   * case-insensitive match on the raw names for rows saved before cache keys existed.
    */
-  async checkDatabaseCache(trackName, artistName) {
+  async checkDatabaseCache(trackName, artistName, isrc = null) {
     try {
+      const lookups = [
+        isrc && ['isrc', isrc.trim().toUpperCase()],
+        ['cache_key', this.getCacheKey(trackName, artistName)]
+      ].filter(Boolean);
+
+      for (const [column, value] of lookups) {
+        const { data, error } = await supabaseService.client
+          .from('youtube_cache')
+          .select('*')
+          .eq(column, value)
+          .limit(1);
+
+        if (!error && data?.length) {
+          return this.fromCacheRow(data[0]);
+        }
+      }
+
+      // Legacy rows without a cache_key
       const { data, error } = await supabaseService.client
         .from('youtube_cache')
         .select('*')
         .ilike('artist_name', artistName)
         .ilike('track_name', trackName)
-        .limit(1)
-        .single();
+        .limit(1);
 
-      if (error || !data) {
+      if (error || !data?.length) {
         return null;
       }
 
-      return {
-        videoId: data.video_id,
-        title: data.video_title,
-        duration: data.video_duration,
-        thumbnailUrl: data.thumbnail_url,
-        channelTitle: data.channel_title
-      };
+      return this.fromCacheRow(data[0]);
     } catch (error) {
       console.warn('Database cache lookup failed:', error.message);
       return null;
     }
   }
 
+  /**
+   * Check the database cache for many tracks with batched `in` queries
+   * (one on ISRC when tracks have them, one on normalized cache key)
+   * @param {Array} tracks - Track objects with name, artist and optional isrc
+   * @returns {Map} cache key or ISRC key -> match for every track found
+   */
+  async checkDatabaseCacheBatch(tracks) {
+    const matches = new Map();
+    if (tracks.length === 0) {
+      return matches;
+    }
+
+    try {
+      const cacheKeys = [...new Set(tracks.map(track => this.getCacheKey(track.name, track.artist)))];
+      const isrcs = [...new Set(tracks.map(track => track.isrc?.trim().toUpperCase()).filter(Boolean))];
+
+      const queries = [
+        supabaseService.client.from('youtube_cache').select('*').in('cache_key', cacheKeys),
+        isrcs.length > 0 && supabaseService.client.from('youtube_cache').select('*').in('isrc', isrcs)
+      ].filter(Boolean);
+
+      const responses = await Promise.all(queries);
+
+      responses.forEach(({ data, error }) => {
+        if (error || !data) return;
+
+        data.forEach(row => {
+          const match = this.fromCacheRow(row);
+          if (row.cache_key && !matches.has(row.cache_key)) {
+            matches.set(row.cache_key, match);
+          }
+          const isrcKey = this.getIsrcKey(row.isrc);
+          if (isrcKey && !matches.has(isrcKey)) {
+            matches.set(isrcKey, match);
+          }
+        });
+      });
+
+      const hits = tracks.filter(track => matches.has(this.getIsrcKey(track.isrc))
+        || matches.has(this.getCacheKey(track.name, track.artist))).length;
+      console.log(`🗄️ Database cache: ${hits}/${tracks.length} hit(s)`);
+      return matches;
+    } catch (error) {
+      console.warn('Database cache batch lookup failed:', error.message);
+      return matches;
+    }
+  }
+
+  /**
+   * Convert a youtube_cache row to a match object
+   */
+  fromCacheRow(data) {
+    return {
+      videoId: data.video_id,
+      title: data.video_title,
+      duration: data.video_duration,
+      thumbnailUrl: data.thumbnail_url,
+      channelTitle: data.channel_title,
+      confidence: data.match_confidence ?? null,
+      verifiedAt: data.verified_at || data.created_at || null
+    };
+  }
+
+  /**
+   * youtube_cache row for a track's match
+   */
+  toCacheRow(trackName, artistName, durationMs, result, isrc = null) {
+    return {
+      cache_key: this.getCacheKey(trackName, artistName),
+      isrc: isrc ? isrc.trim().toUpperCase() : null,
+      track_name: trackName,
+      artist_name: artistName,
+      duration_ms: durationMs,
+      video_id: result.videoId,
+      video_title: result.title,
+      video_duration: result.duration,
+      thumbnail_url: result.thumbnailUrl,
+      channel_title: result.channelTitle,
+      match_confidence: result.confidence ?? null,
+      verified_at: result.verifiedAt || new Date().toISOString()
+    };
+  }
+
   /**
    * Save match to database cache
+   * cache_key is unique, so a track another visitor cached first is left as is.
+   * @returns {boolean} Whether a row was inserted
    */
-  async saveToDatabaseCache(trackName, artistName, durationMs, result) {
+  async saveToDatabaseCache(trackName, artistName, durationMs, result, isrc = null) {
     try {
-      await supabaseService.client
+      const { error } = await supabaseService.client
         .from('youtube_cache')
-        .insert({
-          track_name: trackName,
-          artist_name: artistName,
-          duration_ms: durationMs,
-          video_id: result.videoId,
-          video_title: result.title,
-          video_duration: result.duration,
-          thumbnail_url: result.thumbnailUrl,
-          channel_title: result.channelTitle
-        });
+        .insert(this.toCacheRow(trackName, artistName, durationMs, result, isrc));
+
+      // Already cached (maybe by another visitor a moment ago)
+      if (error?.code === UNIQUE_VIOLATION) {
+        return false;
+      }
+      if (error) {
+        throw error;
+      }
 
       console.log(`💾 Saved to database cache: ${artistName} - ${trackName}`);
+      return true;
     } catch (error) {
-      // Ignore duplicate key errors (already cached)
-      if (!error.message?.includes('duplicate')) {
-        console.warn('Failed to save to database cache:', error.message);
-      }
+      console.warn('Failed to save to database cache:', error.message);
+      return false;
     }
   }
 
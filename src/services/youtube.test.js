@@ -0,0 +1,178 @@
+import youtubeService from './youtube';
+import supabaseService from './supabase';
+
+jest.mock('./supabase', () => ({
+  __esModule: true,
+  default: { client: {} },
+}));
+
+const video = (id, title, duration) => ({
+  id,
+  snippet: { title, channelTitle: 'Channel', thumbnails: {} },
+  contentDetails: { duration },
+});
+
+test('ranks candidates and explains the score', () => {
+  const match = youtubeService.findBestMatch(
+    [
+      video('live', 'Fleetwood Mac - Dreams (Live)', 'PT4M14S'),
+      video('official', 'Fleetwood Mac - Dreams (Official Audio)', 'PT4M15S'),
+      video('way-off', 'Fleetwood Mac - Dreams (Extended)', 'PT9M0S'),
+    ],
+    254000,
+    'Dreams',
+    'Fleetwood Mac'
+  );
+
+  expect(match.videoId).toBe('official');
+  expect(match.candidates.map(c => c.videoId)).toEqual(['official', 'live']);
+  expect(match.breakdown).toEqual({
+    durationDeltaMs: 1000,
+    termHits: ['dreams', 'fleetwood mac', 'official', 'audio'],
+    penalties: [],
+  });
+  expect(match.confidence).toBeGreaterThan(0.9);
+  expect(match.candidates[1].breakdown.penalties).toEqual(['live']);
+  expect(youtubeService.isLowConfidence({ youtubeId: 'live', youtubeConfidence: match.candidates[1].confidence })).toBe(true);
+});
+
+test('falls back to title-only scoring when the duration is unknown', () => {
+  const match = youtubeService.findBestMatch(
+    [video('long', 'Harvest Moon', 'PT9M0S')],
+    null,
+    'Harvest Moon',
+    ''
+  );
+
+  expect(match.videoId).toBe('long');
+  expect(match.breakdown.durationDeltaMs).toBeNull();
+});
+
+test('matches tracks in parallel but keeps their order', async () => {
+  const originalProviders = youtubeService.providers;
+  let running = 0;
+  let maxRunning = 0;
+
+  youtubeService.registerProvider({
+    name: 'fake',
+    search: async (trackName) => {
+      running++;
+      maxRunning = Math.max(maxRunning, running);
+      await new Promise(resolve => setTimeout(resolve, trackName === 'A' ? 30 : 5));
+      running--;
+      return { videoId: `id-${trackName}`, title: trackName };
+    },
+  }, 0);
+
+  const progress = [];
+  const tracks = ['A', 'B', 'C', 'D', 'E'].map(name => ({ name, artist: 'Band', duration_ms: 1000 }));
+  const results = await youtubeService.searchTracks(tracks, (current, total) => progress.push([current, total]), { concurrency: 3 });
+
+  expect(results.map(track => track.youtubeId)).toEqual(['id-A', 'id-B', 'id-C', 'id-D', 'id-E']);
+  expect(maxRunning).toBe(3);
+  expect(progress[progress.length - 1]).toEqual([5, 5]);
+
+  youtubeService.providers = originalProviders;
+  youtubeService.clearCache();
+});
+
+test('normalizes cache keys across remasters, features, accents and artist order', () => {
+  const key = youtubeService.getCacheKey('Dreams', 'Fleetwood Mac');
+
+  expect(youtubeService.getCacheKey('Dreams - 2004 Remaster', 'fleetwood mac')).toBe(key);
+  expect(youtubeService.getCacheKey('Dreams (Remastered)', 'Fleetwood Mac')).toBe(key);
+  expect(youtubeService.getCacheKey('Dreams - Radio Edit', 'Fleetwood Mac')).toBe(key);
+
+  expect(youtubeService.getCacheKey('Señorita', 'Shawn Mendes, Camila Cabello'))
+    .toBe(youtubeService.getCacheKey('Senorita', 'Camila Cabello & Shawn Mendes'));
+  expect(youtubeService.getCacheKey('Stay (feat. Justin Bieber)', 'The Kid LAROI'))
+    .toBe(youtubeService.getCacheKey('Stay', 'The Kid LAROI, Justin Bieber'));
+
+  // Live recordings are different videos
+  expect(youtubeService.getCacheKey('Dreams - Live', 'Fleetwood Mac')).not.toBe(key);
+});
+
+test('finds memory cache entries by ISRC', () => {
+  const match = { videoId: 'abc123', title: 'Dreams' };
+  youtubeService.rememberMatch('Dreams', 'Fleetwood Mac', 'usre10001007', match);
+
+  expect(youtubeService.getMemoryCached('Dreams (Album Version)', 'Someone Else', 'USRE10001007')).toBe(match);
+
+  youtubeService.clearCache();
+});
+
+test('re-matches cached videos that are past their TTL and no longer available', async () => {
+  const originalProviders = youtubeService.providers;
+  const checkVideosAvailable = jest.spyOn(youtubeService, 'checkVideosAvailable')
+    .mockResolvedValue(new Map([['dead', false], ['alive', true]]));
+  const replaceCachedMatch = jest.spyOn(youtubeService, 'replaceCachedMatch').mockResolvedValue(true);
+
+  youtubeService.providers = [{
+    name: 'fake',
+    search: async () => ({
+      videoId: 'dead',
+      title: 'Dreams',
+      candidates: [{ videoId: 'dead' }, { videoId: 'replacement' }],
+    }),
+  }];
+
+  const fresh = new Date().toISOString();
+  const tracks = [
+    { name: 'Dreams', artist: 'Fleetwood Mac', youtubeId: 'dead', youtubeVerifiedAt: '2020-01-01T00:00:00Z' },
+    { name: 'Harvest Moon', artist: 'Neil Young', youtubeId: 'alive', youtubeVerifiedAt: null },
+    { name: 'Landslide', artist: 'Fleetwood Mac', youtubeId: 'recent', youtubeVerifiedAt: fresh },
+  ];
+
+  const updated = await youtubeService.revalidateTracks(tracks);
+
+  // Only stale tracks are checked
+  expect(checkVideosAvailable).toHaveBeenCalledWith(['dead', 'alive']);
+  expect(updated[0].youtubeId).toBe('replacement');
+  expect(updated[1]).toBe(tracks[1]);
+  expect(updated[2]).toBe(tracks[2]);
+  expect(replaceCachedMatch).toHaveBeenCalledTimes(1);
+
+  checkVideosAvailable.mockRestore();
+  replaceCachedMatch.mockRestore();
+  youtubeService.providers = originalProviders;
+  youtubeService.clearCache();
+});
+
+test('replaces a cached match through replace_youtube_match', async () => {
+  const rpc = jest.fn()
+    .mockResolvedValueOnce({ data: true, error: null })
+    .mockResolvedValueOnce({ data: null, error: { message: 'Invalid YouTube match' } });
+  supabaseService.client.rpc = rpc;
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+  const match = { videoId: 'abcdefghijk', title: 'Dreams', confidence: 1 };
+  expect(await youtubeService.replaceCachedMatch('Dreams', 'Fleetwood Mac', 254000, match, null, 'deadvideo01')).toBe(true);
+  expect(await youtubeService.replaceCachedMatch('Dreams', 'Fleetwood Mac', 254000, match, null, 'deadvideo01')).toBe(false);
+
+  expect(rpc).toHaveBeenCalledWith('replace_youtube_match', {
+    p_match: expect.objectContaining({
+      cache_key: youtubeService.getCacheKey('Dreams', 'Fleetwood Mac'),
+      video_id: 'abcdefghijk',
+      match_confidence: 1,
+    }),
+    p_replaces: 'deadvideo01',
+  });
+
+  console.warn.mockRestore();
+  delete supabaseService.client.rpc;
+  youtubeService.clearCache();
+});
+
+test('loads the server key fingerprints before checking videos', async () => {
+  const order = [];
+  const loadKeyIds = jest.spyOn(youtubeService, 'loadKeyIds').mockImplementation(async () => { order.push('keys'); });
+  const getCurrentApiKey = jest.spyOn(youtubeService, 'getCurrentApiKey').mockImplementation(() => { order.push('pick'); return null; });
+
+  await youtubeService.checkVideosAvailable(['abcdefghijk']);
+  await youtubeService.getVideoDetails('abcdefghijk');
+
+  expect(order).toEqual(['keys', 'pick', 'keys', 'pick']);
+
+  loadKeyIds.mockRestore();
+  getCurrentApiKey.mockRestore();
+});
@@ -0,0 +1,289 @@
+/**
+ * YouTube API Quota Tracker
+ * Estimates per-key quota usage, persists it across page loads (localStorage and,
+ * optionally, a shared Supabase table) and knows when the daily quota resets
+ *
+ * YouTube quotas reset at midnight Pacific time, so "today" is always the Pacific date.
+ *
+ * Keys are identified by fingerprints of the actual keys, reported by /api/youtube (see
+ * useKeyIds), so usage follows a key rather than its slot number. Until they arrive,
+ * slots get provisional IDs and usage is only remembered in this browser. Shared usage
+ * is added atomically (add_youtube_quota_usage), never overwritten.
+ */
+
+import supabaseService from './supabase';
+
+// Estimated unit cost per API call (https://developers.google.com/youtube/v3/determine_quota_cost)
+export const QUOTA_COSTS = {
+  search: 100,
+  videos: 1,
+};
+
+const DAILY_QUOTA_UNITS = 10000; // Default quota per key per day
+const STORAGE_KEY = 'mixtape.youtubeQuota';
+const QUOTA_TIME_ZONE = 'America/Los_Angeles';
+const REMOTE_SYNC_DELAY_MS = 2000; // Batch remote writes
+
+/**
+ * Provisional ID for a key slot, used until the server's key fingerprints are known
+ */
+const fingerprint = (key) => {
+  let hash = 5381;
+  for (let i = 0; i < key.length; i++) {
+    hash = ((hash << 5) + hash + key.charCodeAt(i)) | 0;
+  }
+  return `k${(hash >>> 0).toString(36)}`;
+};
+
+class YouTubeQuotaTracker {
+  /**
+   * @param {Array} apiKeys - The configured API keys
+   * @param {Object} options - Optional settings
+   * @param {number} options.dailyLimit - Units per key per day
+   * @param {boolean} options.syncRemote - Also share usage through the youtube_quota table
+   */
+  constructor(apiKeys, { dailyLimit = DAILY_QUOTA_UNITS, syncRemote = false } = {}) {
+    this.keyIds = apiKeys.map(fingerprint);
+    this.dailyLimit = dailyLimit;
+    this.syncRemote = syncRemote;
+    this.confirmedKeyIds = new Set(); // Fingerprints reported by the server
+    this.pendingUsage = new Map(); // keyId -> { day, units, exhausted } not yet synced
+    this.syncTimer = null;
+    this.usage = this.loadLocalUsage();
+  }
+
+  /**
+   * Switch to the server's fingerprints of its keys (one per slot, null for unknown
+   * slots) and start sharing usage for them
+   * @param {Array} keyIds - Fingerprints in key slot order
+   * @returns {Promise} Resolves once other visitors' usage of those keys is merged in
+   */
+  async useKeyIds(keyIds) {
+    this.keyIds = this.keyIds.map((keyId, index) => keyIds[index] || keyId);
+    keyIds.filter(Boolean).forEach(keyId => this.confirmedKeyIds.add(keyId));
+
+    if (this.syncRemote) {
+      await this.loadRemoteUsage();
+    }
+  }
+
+  /**
+   * Today's date in Pacific time (YYYY-MM-DD)
+   */
+  getQuotaDay(now = new Date()) {
+    return new Intl.DateTimeFormat('en-CA', {
+      timeZone: QUOTA_TIME_ZONE,
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+    }).format(now);
+  }
+
+  /**
+   * When the quota next resets (midnight Pacific)
+   * @returns {Date}
+   */
+  getNextReset(now = new Date()) {
+    const parts = new Intl.DateTimeFormat('en-US', {
+      timeZone: QUOTA_TIME_ZONE,
+      hour: 'numeric',
+      minute: 'numeric',
+      second: 'numeric',
+      hourCycle: 'h23',
+    }).formatToParts(now);
+
+    const part = (type) => parseInt(parts.find(p => p.type === type).value, 10);
+    const elapsedMs = ((part('hour') * 60 + part('minute')) * 60 + part('second')) * 1000;
+    const resetAt = now.getTime() - elapsedMs - now.getMilliseconds() + 24 * 60 * 60 * 1000;
+
+    return new Date(resetAt);
+  }
+
+  /**
+   * Usage record for a key, reset if it's from a previous quota day
+   */
+  getKeyUsage(keyIndex) {
+    const keyId = this.keyIds[keyIndex];
+    const today = this.getQuotaDay();
+    const record = this.usage[keyId];
+
+    if (!record || record.day !== today) {
+      this.usage[keyId] = { day: today, used: 0, exhaustedAt: null };
+    }
+
+    return this.usage[keyId];
+  }
+
+  /**
+   * Whether a key is believed to have enough quota left for a call
+   * @param {number} keyIndex - Index into the API key list
+   * @param {number} cost - Units the next call will use
+   */
+  hasQuotaFor(keyIndex, cost = QUOTA_COSTS.search) {
+    const record = this.getKeyUsage(keyIndex);
+    return !record.exhaustedAt && record.used + cost <= this.dailyLimit;
+  }
+
+  /**
+   * Record units spent by a call
+   */
+  recordUsage(keyIndex, cost) {
+    const record = this.getKeyUsage(keyIndex);
+    record.used += cost;
+    this.persist(keyIndex, { units: cost });
+  }
+
+  /**
+   * Record that YouTube reported the key out of quota
+   */
+  markExhausted(keyIndex) {
+    const record = this.getKeyUsage(keyIndex);
+    record.exhaustedAt = record.exhaustedAt || Date.now();
+    record.used = Math.max(record.used, this.dailyLimit);
+    this.persist(keyIndex, { exhausted: true });
+  }
+
+  /**
+   * Quota status for display
+   * @returns {Object} { keys: [{ index, used, limit, remaining, exhausted }], remainingUnits,
+   *   remainingSearches, allExhausted, resetsAt }
+   */
+  getStatus() {
+    const keys = this.keyIds.map((_, index) => {
+      const record = this.getKeyUsage(index);
+      const exhausted = !!record.exhaustedAt || record.used >= this.dailyLimit;
+      return {
+        index,
+        used: record.used,
+        limit: this.dailyLimit,
+        remaining: exhausted ? 0 : Math.max(0, this.dailyLimit - record.used),
+        exhausted,
+      };
+    });
+
+    const remainingUnits = keys.reduce((total, key) => total + key.remaining, 0);
+
+    return {
+      keys,
+      remainingUnits,
+      remainingSearches: keys.reduce(
+        (total, key) => total + Math.floor(key.remaining / (QUOTA_COSTS.search + QUOTA_COSTS.videos)),
+        0
+      ),
+      allExhausted: keys.length > 0 && keys.every(key => key.exhausted),
+      resetsAt: this.getNextReset(),
+    };
+  }
+
+  /**
+   * Save usage locally and queue the change for a remote sync
+   * @param {Object} change - { units, exhausted } to add to the shared record
+   */
+  persist(keyIndex, { units = 0, exhausted = false } = {}) {
+    try {
+      localStorage.setItem(STORAGE_KEY, JSON.stringify(this.usage));
+    } catch (error) {
+      // Private browsing or storage full - keep tracking in memory
+    }
+
+    const keyId = this.keyIds[keyIndex];
+    if (this.syncRemote && this.confirmedKeyIds.has(keyId)) {
+      this.queueRemoteChange(keyId, this.usage[keyId].day, units, exhausted);
+    }
+  }
+
+  /**
+   * Add a change to the batch waiting for saveRemoteUsage
+   */
+  queueRemoteChange(keyId, day, units, exhausted) {
+    const pending = this.pendingUsage.get(keyId);
+    if (pending && pending.day === day) {
+      pending.units += units;
+      pending.exhausted = pending.exhausted || exhausted;
+    } else {
+      this.pendingUsage.set(keyId, { day, units, exhausted });
+    }
+
+    if (!this.syncTimer) {
+      this.syncTimer = setTimeout(() => this.saveRemoteUsage(), REMOTE_SYNC_DELAY_MS);
+    }
+  }
+
+  /**
+   * Load usage saved by earlier page loads
+   */
+  loadLocalUsage() {
+    try {
+      return JSON.parse(localStorage.getItem(STORAGE_KEY)) || {};
+    } catch (error) {
+      return {};
+    }
+  }
+
+  /**
+   * Merge today's shared usage from the youtube_quota table (other visitors' spend)
+   */
+  async loadRemoteUsage() {
+    try {
+      const { data, error } = await supabaseService.client
+        .from('youtube_quota')
+        .select('key_id, units_used, exhausted_at')
+        .eq('quota_day', this.getQuotaDay())
+        .in('key_id', [...this.confirmedKeyIds]);
+
+      if (error || !data) {
+        return;
+      }
+
+      data.forEach(row => {
+        const keyIndex = this.keyIds.indexOf(row.key_id);
+        if (keyIndex === -1) return;
+
+        const record = this.getKeyUsage(keyIndex);
+        record.used = Math.max(record.used, row.units_used || 0);
+        if (row.exhausted_at && !record.exhaustedAt) {
+          record.exhaustedAt = new Date(row.exhausted_at).getTime();
+        }
+      });
+    } catch (error) {
+      console.warn('Failed to load shared YouTube quota usage:', error.message);
+    }
+  }
+
+  /**
+   * Add pending usage to the youtube_quota table
+   * Each change is added to the stored total by the database, so concurrent visitors
+   * don't overwrite each other's usage.
+   */
+  async saveRemoteUsage() {
+    clearTimeout(this.syncTimer);
+    this.syncTimer = null;
+    const changes = [...this.pendingUsage.entries()];
+    this.pendingUsage.clear();
+
+    await Promise.all(changes.map(async ([keyId, { day, units, exhausted }]) => {
+      try {
+        const { data, error } = await supabaseService.client.rpc('add_youtube_quota_usage', {
+          p_key_id: keyId,
+          p_quota_day: day,
+          p_units: units,
+          p_exhausted: exhausted,
+        });
+
+        if (error) {
+          throw new Error(error.message);
+        }
+
+        // Pick up what other visitors spent in the meantime
+        const record = this.usage[keyId];
+        if (record?.day === day && typeof data === 'number') {
+          record.used = Math.max(record.used, data);
+        }
+      } catch (error) {
+        console.warn('Failed to save shared YouTube quota usage:', error.message);
+      }
+    }));
+  }
+}
+
+export default YouTubeQuotaTracker;
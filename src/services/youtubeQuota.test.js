@@ -0,0 +1,71 @@
+import YouTubeQuotaTracker from './youtubeQuota';
+import supabaseService from './supabase';
+
+jest.mock('./supabase', () => ({
+  __esModule: true,
+  default: { client: {} },
+}));
+
+beforeEach(() => {
+  localStorage.clear();
+});
+
+test('tracks usage per key and remembers it across instances', () => {
+  const tracker = new YouTubeQuotaTracker(['key-one', 'key-two'], { dailyLimit: 250 });
+
+  tracker.recordUsage(0, 101);
+  tracker.recordUsage(0, 101);
+
+  expect(tracker.hasQuotaFor(0, 101)).toBe(false);
+  expect(tracker.hasQuotaFor(1, 101)).toBe(true);
+
+  const reloaded = new YouTubeQuotaTracker(['key-one', 'key-two'], { dailyLimit: 250 });
+  expect(reloaded.getStatus().keys[0]).toMatchObject({ used: 202, remaining: 48, exhausted: false });
+  expect(localStorage.getItem('mixtape.youtubeQuota')).not.toContain('key-one');
+});
+
+test('exhausted keys stay skipped until the Pacific-time day changes', () => {
+  const tracker = new YouTubeQuotaTracker(['key-one']);
+  tracker.markExhausted(0);
+
+  expect(tracker.getStatus().allExhausted).toBe(true);
+
+  // Pretend the exhaustion was recorded yesterday
+  Object.values(tracker.usage)[0].day = '2000-01-01';
+  expect(tracker.hasQuotaFor(0)).toBe(true);
+});
+
+test('next reset is midnight Pacific time', () => {
+  const tracker = new YouTubeQuotaTracker([]);
+  // 2024-07-01 10:30 PDT (UTC-7)
+  const resetsAt = tracker.getNextReset(new Date('2024-07-01T17:30:00Z'));
+
+  expect(resetsAt.toISOString()).toBe('2024-07-02T07:00:00.000Z');
+});
+
+test('shares usage under the server key fingerprints as increments', async () => {
+  const tracker = new YouTubeQuotaTracker(['1', '2'], { dailyLimit: 1000, syncRemote: true });
+  tracker.loadRemoteUsage = jest.fn();
+  const rpc = jest.fn().mockResolvedValue({ data: 450, error: null });
+  supabaseService.client.rpc = rpc;
+
+  // Not shared until the server says which keys the slots hold
+  tracker.recordUsage(0, 101);
+  expect(tracker.pendingUsage.size).toBe(0);
+
+  tracker.useKeyIds(['0123456789abcdef', null]);
+  tracker.recordUsage(0, 101);
+  tracker.recordUsage(0, 1);
+  tracker.recordUsage(1, 101);
+  await tracker.saveRemoteUsage();
+
+  expect(rpc).toHaveBeenCalledTimes(1);
+  expect(rpc).toHaveBeenCalledWith('add_youtube_quota_usage', {
+    p_key_id: '0123456789abcdef',
+    p_quota_day: tracker.getQuotaDay(),
+    p_units: 102,
+    p_exhausted: false,
+  });
+  // The returned total includes other visitors' usage
+  expect(tracker.getStatus().keys[0].used).toBe(450);
+});
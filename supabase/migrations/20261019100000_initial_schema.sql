@@ -0,0 +1,64 @@
+-- Base tables used by the app: mixtapes, youtube_cache and youtube_quota
+-- Safe to run on a project created before migrations were shipped: tables are only
+-- created if missing, and columns added since then are added if missing.
+
+create extension if not exists pgcrypto with schema extensions;
+
+-- Shared mixtapes (src/services/supabase.js)
+create table if not exists public.mixtapes (
+  id text primary key,
+  spotify_playlist_id text,
+  source_type text not null default 'playlist',
+  playlist_name text,
+  playlist_description text,
+  playlist_image text,
+  mixtape_title text,
+  sender_name text,
+  personal_message text,
+  cassette_color jsonb,
+  background_color text,
+  font_style jsonb,
+  tracks jsonb not null default '[]'::jsonb,
+  view_count integer not null default 0,
+  play_count integer not null default 0,
+  last_played_at timestamptz,
+  created_at timestamptz not null default now()
+);
+
+alter table public.mixtapes add column if not exists source_type text not null default 'playlist';
+alter table public.mixtapes add column if not exists view_count integer not null default 0;
+alter table public.mixtapes add column if not exists play_count integer not null default 0;
+alter table public.mixtapes add column if not exists last_played_at timestamptz;
+
+-- Matched YouTube videos shared between visitors (src/services/youtube.js)
+create table if not exists public.youtube_cache (
+  id bigint generated always as identity primary key,
+  cache_key text,
+  isrc text,
+  track_name text not null,
+  artist_name text not null,
+  duration_ms integer,
+  video_id text not null,
+  video_title text,
+  video_duration integer,
+  thumbnail_url text,
+  channel_title text,
+  match_confidence real,
+  verified_at timestamptz,
+  created_at timestamptz not null default now()
+);
+
+alter table public.youtube_cache add column if not exists cache_key text;
+alter table public.youtube_cache add column if not exists isrc text;
+alter table public.youtube_cache add column if not exists match_confidence real;
+alter table public.youtube_cache add column if not exists verified_at timestamptz;
+
+-- Estimated YouTube API quota use per key per Pacific day (src/services/youtubeQuota.js)
+-- key_id is a fingerprint of the key, never the key itself.
+create table if not exists public.youtube_quota (
+  key_id text not null,
+  quota_day date not null,
+  units_used integer not null default 0,
+  exhausted_at timestamptz,
+  primary key (key_id, quota_day)
+);
@@ -0,0 +1,59 @@
+-- Owner edit links
+-- createMixtape stores the SHA-256 hex digest of a random edit token; the token itself
+-- only exists in the creator's edit link. Edits go through update_mixtape, which checks it.
+
+create extension if not exists pgcrypto with schema extensions;
+
+alter table public.mixtapes add column if not exists edit_token_hash text;
+alter table public.mixtapes add column if not exists updated_at timestamptz;
+
+-- Does this token belong to this mixtape?
+create or replace function public.verify_mixtape_edit_token(p_id text, p_token text)
+returns boolean
+language sql
+stable
+security definer
+set search_path = public, extensions
+as $$
+  select exists (
+    select 1
+    from public.mixtapes
+    where id = p_id
+      and edit_token_hash is not null
+      and edit_token_hash = encode(digest(p_token, 'sha256'), 'hex')
+  );
+$$;
+
+-- Update the editable fields of a mixtape. Only keys present in p_changes are changed.
+-- Returns false (and changes nothing) if the token doesn't match.
+create or replace function public.update_mixtape(p_id text, p_token text, p_changes jsonb)
+returns boolean
+language plpgsql
+security definer
+set search_path = public, extensions
+as $$
+begin
+  update public.mixtapes set
+    spotify_playlist_id = case when p_changes ? 'spotify_playlist_id' then p_changes->>'spotify_playlist_id' else spotify_playlist_id end,
+    source_type = case when p_changes ? 'source_type' then p_changes->>'source_type' else source_type end,
+    playlist_name = case when p_changes ? 'playlist_name' then p_changes->>'playlist_name' else playlist_name end,
+    playlist_description = case when p_changes ? 'playlist_description' then p_changes->>'playlist_description' else playlist_description end,
+    playlist_image = case when p_changes ? 'playlist_image' then p_changes->>'playlist_image' else playlist_image end,
+    mixtape_title = case when p_changes ? 'mixtape_title' then p_changes->>'mixtape_title' else mixtape_title end,
+    sender_name = case when p_changes ? 'sender_name' then p_changes->>'sender_name' else sender_name end,
+    personal_message = case when p_changes ? 'personal_message' then p_changes->>'personal_message' else personal_message end,
+    cassette_color = case when p_changes ? 'cassette_color' then p_changes->'cassette_color' else cassette_color end,
+    background_color = case when p_changes ? 'background_color' then p_changes->>'background_color' else background_color end,
+    font_style = case when p_changes ? 'font_style' then p_changes->'font_style' else font_style end,
+    tracks = case when p_changes ? 'tracks' then p_changes->'tracks' else tracks end,
+    updated_at = now()
+  where id = p_id
+    and edit_token_hash is not null
+    and edit_token_hash = encode(digest(p_token, 'sha256'), 'hex');
+
+  return found;
+end;
+$$;
+
+grant execute on function public.verify_mixtape_edit_token(text, text) to anon, authenticated;
+grant execute on function public.update_mixtape(text, text, jsonb) to anon, authenticated;
@@ -0,0 +1,70 @@
+-- Owner-initiated delete, expiry dates and max-play limits
+-- A deleted tape keeps its row (so the link can say "this tape has been erased"),
+-- but its contents and edit token are wiped.
+
+alter table public.mixtapes add column if not exists expires_at timestamptz;
+alter table public.mixtapes add column if not exists max_plays integer check (max_plays is null or max_plays > 0);
+alter table public.mixtapes add column if not exists erased_at timestamptz;
+
+-- Same as before, plus expires_at / max_plays. Erased tapes can't be edited.
+create or replace function public.update_mixtape(p_id text, p_token text, p_changes jsonb)
+returns boolean
+language plpgsql
+security definer
+set search_path = public, extensions
+as $$
+begin
+  update public.mixtapes set
+    spotify_playlist_id = case when p_changes ? 'spotify_playlist_id' then p_changes->>'spotify_playlist_id' else spotify_playlist_id end,
+    source_type = case when p_changes ? 'source_type' then p_changes->>'source_type' else source_type end,
+    playlist_name = case when p_changes ? 'playlist_name' then p_changes->>'playlist_name' else playlist_name end,
+    playlist_description = case when p_changes ? 'playlist_description' then p_changes->>'playlist_description' else playlist_description end,
+    playlist_image = case when p_changes ? 'playlist_image' then p_changes->>'playlist_image' else playlist_image end,
+    mixtape_title = case when p_changes ? 'mixtape_title' then p_changes->>'mixtape_title' else mixtape_title end,
+    sender_name = case when p_changes ? 'sender_name' then p_changes->>'sender_name' else sender_name end,
+    personal_message = case when p_changes ? 'personal_message' then p_changes->>'personal_message' else personal_message end,
+    cassette_color = case when p_changes ? 'cassette_color' then p_changes->'cassette_color' else cassette_color end,
+    background_color = case when p_changes ? 'background_color' then p_changes->>'background_color' else background_color end,
+    font_style = case when p_changes ? 'font_style' then p_changes->'font_style' else font_style end,
+    tracks = case when p_changes ? 'tracks' then p_changes->'tracks' else tracks end,
+    expires_at = case when p_changes ? 'expires_at' then (p_changes->>'expires_at')::timestamptz else expires_at end,
+    max_plays = case when p_changes ? 'max_plays' then (p_changes->>'max_plays')::integer else max_plays end,
+    updated_at = now()
+  where id = p_id
+    and erased_at is null
+    and edit_token_hash is not null
+    and edit_token_hash = encode(digest(p_token, 'sha256'), 'hex');
+
+  return found;
+end;
+$$;
+
+-- Erase a tape. Returns false (and changes nothing) if the token doesn't match.
+create or replace function public.delete_mixtape(p_id text, p_token text)
+returns boolean
+language plpgsql
+security definer
+set search_path = public, extensions
+as $$
+begin
+  update public.mixtapes set
+    erased_at = now(),
+    edit_token_hash = null,
+    tracks = '[]'::jsonb,
+    mixtape_title = null,
+    sender_name = null,
+    personal_message = null,
+    playlist_name = null,
+    playlist_description = null,
+    playlist_image = null,
+    spotify_playlist_id = null
+  where id = p_id
+    and erased_at is null
+    and edit_token_hash is not null
+    and edit_token_hash = encode(digest(p_token, 'sha256'), 'hex');
+
+  return found;
+end;
+$$;
+
+grant execute on function public.delete_mixtape(text, text) to anon, authenticated;
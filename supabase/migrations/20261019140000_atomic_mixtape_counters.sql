@@ -0,0 +1,32 @@
+-- Atomic view/play counters, called through supabase.rpc()
+-- Replaces the client's read-then-write update, which lost counts under concurrent views.
+
+alter table public.mixtapes add column if not exists last_played_at timestamptz;
+
+create or replace function public.increment_mixtape_view(p_id text)
+returns integer
+language sql
+security definer
+set search_path = public
+as $$
+  update public.mixtapes
+  set view_count = coalesce(view_count, 0) + 1
+  where id = p_id and erased_at is null
+  returning view_count;
+$$;
+
+create or replace function public.increment_mixtape_play(p_id text)
+returns integer
+language sql
+security definer
+set search_path = public
+as $$
+  update public.mixtapes
+  set play_count = coalesce(play_count, 0) + 1,
+      last_played_at = now()
+  where id = p_id and erased_at is null
+  returning play_count;
+$$;
+
+grant execute on function public.increment_mixtape_view(text) to anon, authenticated;
+grant execute on function public.increment_mixtape_play(text) to anon, authenticated;
@@ -0,0 +1,80 @@
+-- Per-track listening events for the creator's stats page
+-- Anyone can record events for a live mixtape; only the creator (via the edit token)
+-- can read them back through get_mixtape_events.
+
+create table if not exists public.mixtape_events (
+  id bigint generated always as identity primary key,
+  mixtape_id text not null references public.mixtapes(id) on delete cascade,
+  session_id text not null,
+  event_type text not null check (event_type in ('play_start', 'complete', 'skip', 'position')),
+  track_index integer not null check (track_index >= 0),
+  position_seconds integer,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists mixtape_events_mixtape_id_created_at_idx
+  on public.mixtape_events (mixtape_id, created_at);
+
+alter table public.mixtape_events enable row level security;
+
+drop policy if exists "Anyone can record events for live mixtapes" on public.mixtape_events;
+create policy "Anyone can record events for live mixtapes"
+  on public.mixtape_events for insert
+  to anon, authenticated
+  with check (
+    exists (select 1 from public.mixtapes m where m.id = mixtape_id and m.erased_at is null)
+  );
+
+-- Returns null when the token doesn't match
+create or replace function public.get_mixtape_events(p_id text, p_token text)
+returns jsonb
+language plpgsql
+stable
+security definer
+set search_path = public, extensions
+as $$
+begin
+  if not exists (
+    select 1 from public.mixtapes
+    where id = p_id
+      and edit_token_hash is not null
+      and edit_token_hash = encode(digest(p_token, 'sha256'), 'hex')
+  ) then
+    return null;
+  end if;
+
+  return coalesce((
+    select jsonb_agg(jsonb_build_object(
+      'session_id', e.session_id,
+      'event_type', e.event_type,
+      'track_index', e.track_index,
+      'position_seconds', e.position_seconds,
+      'created_at', e.created_at
+    ) order by e.created_at)
+    from public.mixtape_events e
+    where e.mixtape_id = p_id
+  ), '[]'::jsonb);
+end;
+$$;
+
+grant execute on function public.get_mixtape_events(text, text) to anon, authenticated;
+
+-- Erasing a tape also erases its listening history
+create or replace function public.erase_mixtape_events()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  delete from public.mixtape_events where mixtape_id = new.id;
+  return new;
+end;
+$$;
+
+drop trigger if exists mixtapes_erase_events on public.mixtapes;
+create trigger mixtapes_erase_events
+  after update of erased_at on public.mixtapes
+  for each row
+  when (old.erased_at is null and new.erased_at is not null)
+  execute function public.erase_mixtape_events();
@@ -0,0 +1,107 @@
+-- Row-level security and unique indexes
+--
+-- mixtapes: the anon key can create and read tapes, but never update or delete them
+-- directly. Edits, erasing and counters go through the security definer functions
+-- (update_mixtape, delete_mixtape, increment_mixtape_view/play), which check the edit
+-- token where needed. The edit token hash can't be read back.
+--
+-- youtube_cache / youtube_quota: shared by all visitors, so they can read, insert and
+-- update rows (re-matching and quota sync need updates), but not delete them.
+
+-- mixtapes ---------------------------------------------------------------------------
+
+alter table public.mixtapes enable row level security;
+
+drop policy if exists "Anyone can read mixtapes" on public.mixtapes;
+create policy "Anyone can read mixtapes"
+  on public.mixtapes for select
+  to anon, authenticated
+  using (true);
+
+-- New tapes start with zeroed counters and can't be created pre-erased
+drop policy if exists "Anyone can create mixtapes" on public.mixtapes;
+create policy "Anyone can create mixtapes"
+  on public.mixtapes for insert
+  to anon, authenticated
+  with check (
+    view_count = 0
+    and play_count = 0
+    and last_played_at is null
+    and erased_at is null
+  );
+
+-- Everything except edit_token_hash is readable
+revoke select, update, delete on public.mixtapes from anon, authenticated;
+grant select (
+  id, spotify_playlist_id, source_type, playlist_name, playlist_description, playlist_image,
+  mixtape_title, sender_name, personal_message, cassette_color, background_color, font_style,
+  tracks, created_at, updated_at, view_count, play_count, last_played_at,
+  expires_at, max_plays, erased_at
+) on public.mixtapes to anon, authenticated;
+grant insert on public.mixtapes to anon, authenticated;
+
+-- youtube_cache ----------------------------------------------------------------------
+
+-- Keep the newest row per cache key before making cache keys unique
+delete from public.youtube_cache a
+  using public.youtube_cache b
+  where a.cache_key = b.cache_key
+    and a.id < b.id;
+
+create unique index if not exists youtube_cache_cache_key_key
+  on public.youtube_cache (cache_key);
+create index if not exists youtube_cache_isrc_idx
+  on public.youtube_cache (isrc) where isrc is not null;
+create index if not exists youtube_cache_video_id_idx
+  on public.youtube_cache (video_id);
+
+alter table public.youtube_cache enable row level security;
+
+drop policy if exists "Anyone can read cached matches" on public.youtube_cache;
+create policy "Anyone can read cached matches"
+  on public.youtube_cache for select
+  to anon, authenticated
+  using (true);
+
+drop policy if exists "Anyone can cache matches" on public.youtube_cache;
+create policy "Anyone can cache matches"
+  on public.youtube_cache for insert
+  to anon, authenticated
+  with check (cache_key is not null);
+
+drop policy if exists "Anyone can refresh cached matches" on public.youtube_cache;
+create policy "Anyone can refresh cached matches"
+  on public.youtube_cache for update
+  to anon, authenticated
+  using (true)
+  with check (true);
+
+revoke delete on public.youtube_cache from anon, authenticated;
+
+-- youtube_quota ----------------------------------------------------------------------
+
+alter table public.youtube_quota enable row level security;
+
+drop policy if exists "Anyone can read quota usage" on public.youtube_quota;
+create policy "Anyone can read quota usage"
+  on public.youtube_quota for select
+  to anon, authenticated
+  using (true);
+
+drop policy if exists "Anyone can record quota usage" on public.youtube_quota;
+create policy "Anyone can record quota usage"
+  on public.youtube_quota for insert
+  to anon, authenticated
+  with check (units_used >= 0);
+
+drop policy if exists "Anyone can update quota usage" on public.youtube_quota;
+create policy "Anyone can update quota usage"
+  on public.youtube_quota for update
+  to anon, authenticated
+  using (true)
+  with check (units_used >= 0);
+
+revoke delete on public.youtube_quota from anon, authenticated;
+
+-- mixtape_events already has RLS (insert only) from its own migration
+revoke select, update, delete on public.mixtape_events from anon, authenticated;
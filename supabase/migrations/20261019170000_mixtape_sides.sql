@@ -0,0 +1,41 @@
+-- Side A / Side B
+-- Tracks stay one list; side_layout is { "tapeLength": 45 | 60 | 90, "sideBStart": <index> }.
+-- Mixtapes without a layout play as a single side.
+
+alter table public.mixtapes add column if not exists side_layout jsonb;
+
+grant select (side_layout) on public.mixtapes to anon, authenticated;
+
+-- Same as before, plus side_layout
+create or replace function public.update_mixtape(p_id text, p_token text, p_changes jsonb)
+returns boolean
+language plpgsql
+security definer
+set search_path = public, extensions
+as $$
+begin
+  update public.mixtapes set
+    spotify_playlist_id = case when p_changes ? 'spotify_playlist_id' then p_changes->>'spotify_playlist_id' else spotify_playlist_id end,
+    source_type = case when p_changes ? 'source_type' then p_changes->>'source_type' else source_type end,
+    playlist_name = case when p_changes ? 'playlist_name' then p_changes->>'playlist_name' else playlist_name end,
+    playlist_description = case when p_changes ? 'playlist_description' then p_changes->>'playlist_description' else playlist_description end,
+    playlist_image = case when p_changes ? 'playlist_image' then p_changes->>'playlist_image' else playlist_image end,
+    mixtape_title = case when p_changes ? 'mixtape_title' then p_changes->>'mixtape_title' else mixtape_title end,
+    sender_name = case when p_changes ? 'sender_name' then p_changes->>'sender_name' else sender_name end,
+    personal_message = case when p_changes ? 'personal_message' then p_changes->>'personal_message' else personal_message end,
+    cassette_color = case when p_changes ? 'cassette_color' then p_changes->'cassette_color' else cassette_color end,
+    background_color = case when p_changes ? 'background_color' then p_changes->>'background_color' else background_color end,
+    font_style = case when p_changes ? 'font_style' then p_changes->'font_style' else font_style end,
+    tracks = case when p_changes ? 'tracks' then p_changes->'tracks' else tracks end,
+    expires_at = case when p_changes ? 'expires_at' then (p_changes->>'expires_at')::timestamptz else expires_at end,
+    max_plays = case when p_changes ? 'max_plays' then (p_changes->>'max_plays')::integer else max_plays end,
+    side_layout = case when p_changes ? 'side_layout' then p_changes->'side_layout' else side_layout end,
+    updated_at = now()
+  where id = p_id
+    and erased_at is null
+    and edit_token_hash is not null
+    and edit_token_hash = encode(digest(p_token, 'sha256'), 'hex');
+
+  return found;
+end;
+$$;
@@ -0,0 +1,124 @@
+-- Expiry dates and play limits, enforced by the database
+-- Until now only the app checked expires_at / max_plays, so an expired or played-out
+-- tape stayed readable with the anon key and kept counting plays. Such tapes are now
+-- hidden from direct selects and their views and plays are no longer counted. load_mixtape
+-- says why a tape is gone, and still returns it to its owner (valid edit token) so
+-- they can extend it.
+
+-- Why a mixtape can no longer be played: 'deleted', 'expired', 'played_out' or null
+create or replace function public.mixtape_erased_reason(
+  p_erased_at timestamptz,
+  p_expires_at timestamptz,
+  p_max_plays integer,
+  p_play_count integer
+)
+returns text
+language sql
+stable
+as $$
+  select case
+    when p_erased_at is not null then 'deleted'
+    when p_expires_at is not null and p_expires_at <= now() then 'expired'
+    when p_max_plays is not null and coalesce(p_play_count, 0) >= p_max_plays then 'played_out'
+  end;
+$$;
+
+drop policy if exists "Anyone can read mixtapes" on public.mixtapes;
+drop policy if exists "Anyone can read live mixtapes" on public.mixtapes;
+create policy "Anyone can read live mixtapes"
+  on public.mixtapes for select
+  to anon, authenticated
+  using (public.mixtape_erased_reason(erased_at, expires_at, max_plays, play_count) is null);
+
+-- Returns { "erased_reason": <reason or null>, "mixtape": <row or null> }, or null if
+-- there is no such tape. mixtape is null for a tape that's gone, unless p_token is its
+-- edit token. The edit token hash is never returned.
+create or replace function public.load_mixtape(p_id text, p_token text default null)
+returns jsonb
+language plpgsql
+stable
+security definer
+set search_path = public, extensions
+as $$
+declare
+  m public.mixtapes;
+  reason text;
+begin
+  select * into m from public.mixtapes where id = p_id;
+  if not found then
+    return null;
+  end if;
+
+  reason := public.mixtape_erased_reason(m.erased_at, m.expires_at, m.max_plays, m.play_count);
+
+  if reason is not null and not (
+    p_token is not null
+    and m.edit_token_hash is not null
+    and m.edit_token_hash = encode(digest(p_token, 'sha256'), 'hex')
+  ) then
+    return jsonb_build_object('erased_reason', reason, 'mixtape', null);
+  end if;
+
+  return jsonb_build_object('erased_reason', reason, 'mixtape', to_jsonb(m) - 'edit_token_hash');
+end;
+$$;
+
+grant execute on function public.load_mixtape(text, text) to anon, authenticated;
+
+-- Same as before, but only live tapes are counted. The row lock taken by the update
+-- means concurrent plays can't push play_count past max_plays.
+create or replace function public.increment_mixtape_view(p_id text)
+returns integer
+language sql
+security definer
+set search_path = public
+as $$
+  update public.mixtapes
+  set view_count = coalesce(view_count, 0) + 1
+  where id = p_id
+    and public.mixtape_erased_reason(erased_at, expires_at, max_plays, play_count) is null
+  returning view_count;
+$$;
+
+create or replace function public.increment_mixtape_play(p_id text)
+returns integer
+language sql
+security definer
+set search_path = public
+as $$
+  update public.mixtapes
+  set play_count = coalesce(play_count, 0) + 1,
+      last_played_at = now()
+  where id = p_id
+    and public.mixtape_erased_reason(erased_at, expires_at, max_plays, play_count) is null
+  returning play_count;
+$$;
+
+-- No more listening events once a tape is deleted or expired. Played-out tapes still
+-- accept them: the last allowed play uses up the limit when it starts, and the rest of
+-- that listen should still show up in the stats. Security definer because the select
+-- policy above hides played-out rows from the anon key.
+create or replace function public.mixtape_accepts_events(p_id text)
+returns boolean
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select exists (
+    select 1 from public.mixtapes
+    where id = p_id
+      and coalesce(
+        public.mixtape_erased_reason(erased_at, expires_at, max_plays, play_count),
+        'played_out'
+      ) = 'played_out'
+  );
+$$;
+
+grant execute on function public.mixtape_accepts_events(text) to anon, authenticated;
+
+drop policy if exists "Anyone can record events for live mixtapes" on public.mixtape_events;
+create policy "Anyone can record events for live mixtapes"
+  on public.mixtape_events for insert
+  to anon, authenticated
+  with check (public.mixtape_accepts_events(mixtape_id));
@@ -0,0 +1,38 @@
+-- Atomic YouTube quota usage
+-- Browsers used to upsert their own idea of a key's total, so concurrent visitors
+-- overwrote each other's usage. They now send what they spent and the database adds it.
+-- key_id is the fingerprint /api/youtube reports for a key (16 hex characters).
+
+create or replace function public.add_youtube_quota_usage(
+  p_key_id text,
+  p_quota_day date,
+  p_units integer,
+  p_exhausted boolean default false
+)
+returns integer
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  pacific_today date := (now() at time zone 'America/Los_Angeles')::date;
+  total integer;
+begin
+  if p_key_id !~ '^[0-9a-f]{16}$'
+    or p_units is null or p_units < 0 or p_units > 10000
+    or p_quota_day is null or p_quota_day not between pacific_today - 1 and pacific_today then
+    raise exception 'Invalid quota usage' using errcode = '22023';
+  end if;
+
+  insert into public.youtube_quota as q (key_id, quota_day, units_used, exhausted_at)
+  values (p_key_id, p_quota_day, p_units, case when p_exhausted then now() end)
+  on conflict (key_id, quota_day) do update set
+    units_used = q.units_used + excluded.units_used,
+    exhausted_at = coalesce(q.exhausted_at, excluded.exhausted_at)
+  returning units_used into total;
+
+  return total;
+end;
+$$;
+
+grant execute on function public.add_youtube_quota_usage(text, date, integer, boolean) to anon, authenticated;
@@ -0,0 +1,122 @@
+-- No direct updates to the shared YouTube tables
+-- Any visitor could update any youtube_cache row (pointing every cached match at any
+-- video) or rewrite youtube_quota usage. Now:
+--   youtube_cache: visitors can still insert matches for tracks nobody has cached (the
+--     unique cache_key keeps existing rows as they are). An existing match can only be
+--     replaced through replace_youtube_match, and only once it is past the 30-day re-check
+--     window without being refreshed, i.e. when its video has stopped playing for the
+--     visitors who checked it. Creators' manual picks stay with their mixtape.
+--     refresh_youtube_matches stamps verified_at on videos that still play.
+--   youtube_quota: only add_youtube_quota_usage writes to it.
+
+-- youtube_cache ----------------------------------------------------------------------
+
+drop policy if exists "Anyone can refresh cached matches" on public.youtube_cache;
+revoke update on public.youtube_cache from anon, authenticated;
+
+drop policy if exists "Anyone can cache matches" on public.youtube_cache;
+create policy "Anyone can cache matches"
+  on public.youtube_cache for insert
+  to anon, authenticated
+  with check (
+    cache_key is not null
+    and video_id ~ '^[A-Za-z0-9_-]{11}$'
+    and (match_confidence is null or match_confidence between 0 and 1)
+  );
+
+-- Replace the cached match for a track whose video is gone. p_match has the youtube_cache
+-- column names and p_replaces is the video it replaces. The row is only replaced if it
+-- still holds p_replaces and hasn't been verified for 30 days (videos that still play are
+-- refreshed by refresh_youtube_matches); a track with no row gets one. Returns true once
+-- the row holds the new match.
+drop function if exists public.replace_youtube_match(jsonb);
+create or replace function public.replace_youtube_match(p_match jsonb, p_replaces text)
+returns boolean
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_cache_key text := nullif(trim(p_match->>'cache_key'), '');
+  v_video_id text := p_match->>'video_id';
+  v_confidence real := (p_match->>'match_confidence')::real;
+begin
+  if v_cache_key is null or length(v_cache_key) > 500
+    or v_video_id is null or v_video_id !~ '^[A-Za-z0-9_-]{11}$'
+    or p_replaces is null or p_replaces = v_video_id
+    or coalesce(p_match->>'track_name', '') = ''
+    or (v_confidence is not null and v_confidence not between 0 and 1) then
+    raise exception 'Invalid YouTube match' using errcode = '22023';
+  end if;
+
+  update public.youtube_cache
+  set video_id = v_video_id,
+      video_title = left(p_match->>'video_title', 500),
+      video_duration = (p_match->>'video_duration')::integer,
+      thumbnail_url = left(p_match->>'thumbnail_url', 1000),
+      channel_title = left(p_match->>'channel_title', 500),
+      match_confidence = v_confidence,
+      verified_at = now()
+  where cache_key = v_cache_key
+    and video_id = p_replaces
+    and coalesce(verified_at, created_at) < now() - interval '30 days';
+
+  if found then
+    return true;
+  end if;
+
+  insert into public.youtube_cache (
+    cache_key, isrc, track_name, artist_name, duration_ms, video_id, video_title,
+    video_duration, thumbnail_url, channel_title, match_confidence, verified_at
+  )
+  values (
+    v_cache_key,
+    nullif(upper(trim(p_match->>'isrc')), ''),
+    left(p_match->>'track_name', 500),
+    left(coalesce(p_match->>'artist_name', ''), 500),
+    (p_match->>'duration_ms')::integer,
+    v_video_id,
+    left(p_match->>'video_title', 500),
+    (p_match->>'video_duration')::integer,
+    left(p_match->>'thumbnail_url', 1000),
+    left(p_match->>'channel_title', 500),
+    v_confidence,
+    now()
+  )
+  on conflict do nothing;
+
+  return found;
+end;
+$$;
+
+-- Mark cached videos as checked just now (they still exist and can be embedded)
+create or replace function public.refresh_youtube_matches(p_video_ids text[])
+returns integer
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  refreshed integer;
+begin
+  if p_video_ids is null or cardinality(p_video_ids) > 200 then
+    raise exception 'Invalid video IDs' using errcode = '22023';
+  end if;
+
+  update public.youtube_cache
+  set verified_at = now()
+  where video_id = any(p_video_ids);
+
+  get diagnostics refreshed = row_count;
+  return refreshed;
+end;
+$$;
+
+grant execute on function public.replace_youtube_match(jsonb, text) to anon, authenticated;
+grant execute on function public.refresh_youtube_matches(text[]) to anon, authenticated;
+
+-- youtube_quota ----------------------------------------------------------------------
+
+drop policy if exists "Anyone can record quota usage" on public.youtube_quota;
+drop policy if exists "Anyone can update quota usage" on public.youtube_quota;
+revoke insert, update on public.youtube_quota from anon, authenticated;
@@ -0,0 +1,40 @@
+-- Attribute listening events to songs, not positions
+-- track_index changes when the creator reorders, removes or adds tracks, so events also
+-- record a track key ("artist|title", lowercased; see getTrackKey in src/services/analytics.js).
+-- Events recorded before this have no key and are summarized by index.
+
+alter table public.mixtape_events add column if not exists track_key text
+  check (track_key is null or length(track_key) <= 1000);
+
+-- Same as before, plus track_key
+create or replace function public.get_mixtape_events(p_id text, p_token text)
+returns jsonb
+language plpgsql
+stable
+security definer
+set search_path = public, extensions
+as $$
+begin
+  if not exists (
+    select 1 from public.mixtapes
+    where id = p_id
+      and edit_token_hash is not null
+      and edit_token_hash = encode(digest(p_token, 'sha256'), 'hex')
+  ) then
+    return null;
+  end if;
+
+  return coalesce((
+    select jsonb_agg(jsonb_build_object(
+      'session_id', e.session_id,
+      'event_type', e.event_type,
+      'track_key', e.track_key,
+      'track_index', e.track_index,
+      'position_seconds', e.position_seconds,
+      'created_at', e.created_at
+    ) order by e.created_at)
+    from public.mixtape_events e
+    where e.mixtape_id = p_id
+  ), '[]'::jsonb);
+end;
+$$;